@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const argument = this.client.arguments.get(arg);
+		if (argument) return argument;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'argument');
+	}
+
+};
@@ -0,0 +1,15 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['bool'] });
+	}
+
+	async run(arg, possible, msg) {
+		const boolean = await this.resolver.boolean(arg);
+		if (boolean !== null) return boolean;
+		throw msg.language.get('RESOLVER_INVALID_BOOL', possible.name);
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const category = this.client.commands.categories.get(this.client.commands.resolveCategory(arg));
+		if (category) return category;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'category');
+	}
+
+};
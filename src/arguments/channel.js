@@ -0,0 +1,12 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const channel = await this.resolver.channel(arg) ||
+			(msg.guild ? await this.search(arg, msg.guild.channels.values(), ({ name }) => [name, `#${name}`], possible, msg) : null);
+		if (channel) return channel;
+		throw msg.language.get('RESOLVER_INVALID_CHANNEL', possible.name);
+	}
+
+};
@@ -0,0 +1,15 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['cmd'] });
+	}
+
+	async run(arg, possible, msg) {
+		const command = this.client.commands.get(arg) || this.client.commands.resolveGuildAlias(msg.guild, arg);
+		if (command) return command;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'command');
+	}
+
+};
@@ -0,0 +1,16 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const date = await this.resolver.date(arg);
+		if (date === null) throw msg.language.get('RESOLVER_INVALID_DATE', possible.name);
+		// The limits of dates are durations relative to the time the argument is resolved
+		const { min, max } = possible;
+		const now = Date.now();
+		if (min !== null && date.getTime() < now + min) throw msg.language.get('RESOLVER_DATE_AFTER', possible.name, new Date(now + min).toUTCString());
+		if (max !== null && date.getTime() > now + max) throw msg.language.get('RESOLVER_DATE_BEFORE', possible.name, new Date(now + max).toUTCString());
+		return date;
+	}
+
+};
@@ -0,0 +1,14 @@
+const { Argument, util: { formatDuration } } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const duration = await this.resolver.duration(arg);
+		if (duration === null) throw msg.language.get('RESOLVER_INVALID_DURATION', possible.name);
+		const { min, max } = possible;
+		if (min !== null && duration < min) throw msg.language.get('RESOLVER_MINMAX_MIN', possible.name, formatDuration(min), '');
+		if (max !== null && duration > max) throw msg.language.get('RESOLVER_MINMAX_MAX', possible.name, formatDuration(max), '');
+		return duration;
+	}
+
+};
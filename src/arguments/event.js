@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const event = this.client.events.get(arg);
+		if (event) return event;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'event');
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const extendable = this.client.extendables.get(arg);
+		if (extendable) return extendable;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'extendable');
+	}
+
+};
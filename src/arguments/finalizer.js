@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const finalizer = this.client.finalizers.get(arg);
+		if (finalizer) return finalizer;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'finalizer');
+	}
+
+};
@@ -0,0 +1,16 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['num', 'number'] });
+	}
+
+	async run(arg, possible, msg) {
+		const number = await this.resolver.float(arg);
+		if (number === null) throw msg.language.get('RESOLVER_INVALID_FLOAT', possible.name);
+		this.constructor.minOrMax(number, possible.min, possible.max, possible, msg);
+		return number;
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const guild = await this.resolver.guild(arg);
+		if (guild) return guild;
+		throw msg.language.get('RESOLVER_INVALID_GUILD', possible.name);
+	}
+
+};
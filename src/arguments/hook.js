@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const hook = this.client.hooks.get(arg);
+		if (hook) return hook;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'hook');
+	}
+
+};
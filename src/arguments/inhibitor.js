@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const inhibitor = this.client.inhibitors.get(arg);
+		if (inhibitor) return inhibitor;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'inhibitor');
+	}
+
+};
@@ -0,0 +1,16 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['int'] });
+	}
+
+	async run(arg, possible, msg) {
+		const integer = await this.resolver.integer(arg);
+		if (integer === null) throw msg.language.get('RESOLVER_INVALID_INT', possible.name);
+		this.constructor.minOrMax(integer, possible.min, possible.max, possible, msg);
+		return integer;
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const language = this.client.languages.get(arg);
+		if (language) return language;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'language');
+	}
+
+};
@@ -0,0 +1,10 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		if (arg.toLowerCase() === possible.name.toLowerCase()) return arg.toLowerCase();
+		throw msg.language.get('RESOLVER_INVALID_LITERAL', possible.name);
+	}
+
+};
@@ -0,0 +1,13 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		if (!msg.guild) throw msg.language.get('RESOLVER_INVALID_MEMBER', possible.name);
+		const member = await this.resolver.member(arg, msg.guild) ||
+			await this.search(arg, msg.guild.members.values(), ({ user, nickname }) => [user.tag, user.username, nickname], possible, msg);
+		if (member) return member;
+		throw msg.language.get('RESOLVER_INVALID_MEMBER', possible.name);
+	}
+
+};
@@ -0,0 +1,15 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['msg'] });
+	}
+
+	async run(arg, possible, msg) {
+		const message = await this.resolver.msg(arg, msg.channel);
+		if (message) return message;
+		throw msg.language.get('RESOLVER_INVALID_MSG', possible.name);
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const monitor = this.client.monitors.get(arg);
+		if (monitor) return monitor;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'monitor');
+	}
+
+};
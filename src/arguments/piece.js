@@ -0,0 +1,14 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const store = this.client.arguments.pieceTypes.get(possible.type);
+		for (const pieceStore of store ? [store] : this.client.pieceStores.values()) {
+			const piece = pieceStore.get(arg);
+			if (piece) return piece;
+		}
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, store ? possible.type : 'piece');
+	}
+
+};
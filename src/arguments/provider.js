@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const provider = this.client.providers.get(arg);
+		if (provider) return provider;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'provider');
+	}
+
+};
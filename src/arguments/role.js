@@ -0,0 +1,12 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		if (!msg.guild) throw msg.language.get('RESOLVER_INVALID_ROLE', possible.name);
+		const role = await this.resolver.role(arg, msg.guild) || await this.search(arg, msg.guild.roles.values(), ({ name }) => [name], possible, msg);
+		if (role) return role;
+		throw msg.language.get('RESOLVER_INVALID_ROLE', possible.name);
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const store = this.client.pieceStores.get(arg);
+		if (store) return store;
+		throw msg.language.get('RESOLVER_INVALID_PIECE', possible.name, 'store');
+	}
+
+};
@@ -0,0 +1,14 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['str'] });
+	}
+
+	async run(arg, possible, msg) {
+		this.constructor.minOrMax(arg.length, possible.min, possible.max, possible, msg, msg.language.get('RESOLVER_STRING_SUFFIX'));
+		return arg;
+	}
+
+};
@@ -0,0 +1,11 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	async run(arg, possible, msg) {
+		const hyperlink = await this.resolver.url(arg);
+		if (hyperlink !== null) return hyperlink;
+		throw msg.language.get('RESOLVER_INVALID_URL', possible.name);
+	}
+
+};
@@ -0,0 +1,16 @@
+const { Argument } = require('klasa');
+
+module.exports = class extends Argument {
+
+	constructor(...args) {
+		super(...args, { aliases: ['mention'] });
+	}
+
+	async run(arg, possible, msg) {
+		const user = await this.resolver.user(arg) ||
+			await this.search(arg, msg.guild ? msg.guild.members.map(member => member.user) : this.client.users.values(), ({ tag, username }) => [tag, username], possible, msg);
+		if (user) return user;
+		throw msg.language.get('RESOLVER_INVALID_USER', possible.name);
+	}
+
+};
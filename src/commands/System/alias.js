@@ -0,0 +1,41 @@
+const { Command } = require('klasa');
+
+module.exports = class extends Command {
+
+	constructor(...args) {
+		super(...args, {
+			runIn: ['text'],
+			permLevel: 6,
+			description: 'Manage the custom command aliases of this server.',
+			usageDelim: ' ',
+			subcommands: {
+				add: { description: 'Adds a custom alias for a command.', usage: '<alias:string{1,32}> <command:cmd>' },
+				remove: { description: 'Removes a custom alias.', usage: '<alias:string>' },
+				list: { description: 'Lists the custom aliases of this server.' }
+			}
+		});
+	}
+
+	async add(msg, [alias, command]) {
+		alias = alias.toLowerCase();
+		if (alias.includes(':') || this.client.commands.has(alias) || this.client.commands.resolveGuildAlias(msg.guild, alias)) throw msg.language.get('COMMAND_ALIAS_EXISTS', alias);
+		await this.client.settings.guilds.updateArray(msg.guild, 'add', 'commandAliases', `${alias}:${command.name}`);
+		return msg.sendMessage(msg.language.get('COMMAND_ALIAS_ADDED', alias, command.name));
+	}
+
+	async remove(msg, [alias]) {
+		alias = alias.toLowerCase();
+		const entry = (msg.guild.settings.commandAliases || []).find(ent => ent.split(':')[0] === alias);
+		if (!entry) throw msg.language.get('COMMAND_ALIAS_NOT_FOUND', alias);
+		await this.client.settings.guilds.updateArray(msg.guild, 'remove', 'commandAliases', entry);
+		return msg.sendMessage(msg.language.get('COMMAND_ALIAS_REMOVED', alias));
+	}
+
+	async list(msg) {
+		const aliases = this.client.commands.getGuildAliases(msg.guild);
+		if (!aliases.size) return msg.sendMessage(msg.language.get('COMMAND_ALIAS_LIST_EMPTY'));
+		const longest = aliases.reduce((long, command, alias) => Math.max(long, alias.length), 0);
+		return msg.sendCode('asciidoc', ['= Custom Aliases =', ...aliases.map((command, alias) => `${alias.padEnd(longest)} :: ${command.name}`)]);
+	}
+
+};
@@ -0,0 +1,64 @@
+const { Command } = require('klasa');
+
+module.exports = class extends Command {
+
+	constructor(...args) {
+		super(...args, {
+			permLevel: 10,
+			description: 'Shows how often the commands are used, fail or are inhibited, and how long they take.',
+			extendedHelp: [
+				'Latencies are measured from a command being run to it finishing, as percentiles of the latest runs.',
+				'Errors only count the commands which failed while running, not the ones whose args were invalid.'
+			].join(' '),
+			usageDelim: ' ',
+			subcommands: {
+				show: { description: 'Shows the analytics of all commands, or the details of one.', usage: '[Command:cmd]' },
+				reset: { description: 'Resets the analytics of all commands, or of one.', usage: '[Command:cmd]' }
+			},
+			examples: ['analytics show', 'analytics show help', 'analytics reset ping']
+		});
+	}
+
+	async show(msg, [command]) {
+		if (command) return this.details(msg, this.client.analytics.stats(command.name));
+		const { language } = msg;
+		const stats = [...this.client.analytics.commands.keys()]
+			.map(name => this.client.analytics.stats(name))
+			.sort((a, b) => b.uses - a.uses);
+		if (!stats.length) return msg.sendMessage(msg.language.get('COMMAND_ANALYTICS_EMPTY'));
+		const longest = Math.max(...stats.map(({ name }) => name.length));
+		return msg.sendCode('asciidoc', [
+			`= ${language.get('COMMAND_ANALYTICS_TITLE')} =`,
+			...stats.map(({ name, runs, errors, errorRate, inhibited, p50 }) =>
+				`${name.padEnd(longest)} :: ${language.get('COMMAND_ANALYTICS_SUMMARY', runs, errors, this.constructor.percent(errorRate), inhibited, this.constructor.ms(p50, language))}`)
+		]);
+	}
+
+	async reset(msg, [command]) {
+		await this.client.analytics.reset(command && command.name);
+		return msg.sendMessage(msg.language.get('COMMAND_ANALYTICS_RESET', command && command.name));
+	}
+
+	details(msg, { name, runs, errors, errorRate, inhibited, reasons, p50, p90, p99 }) {
+		const { language } = msg;
+		const fields = [
+			[language.get('COMMAND_ANALYTICS_RUNS'), runs],
+			[language.get('COMMAND_ANALYTICS_ERRORS'), `${errors} (${this.constructor.percent(errorRate)})`],
+			[language.get('COMMAND_ANALYTICS_INHIBITED'), inhibited],
+			[language.get('COMMAND_ANALYTICS_LATENCY'), `p50 ${this.constructor.ms(p50, language)}, p90 ${this.constructor.ms(p90, language)}, p99 ${this.constructor.ms(p99, language)}`]
+		];
+		const longest = Math.max(...fields.map(([label]) => label.length));
+		const lines = [`= ${name} =`, ...fields.map(([label, value]) => `${label.padEnd(longest)} :: ${value}`)];
+		if (reasons.length) lines.push('', `== ${language.get('COMMAND_ANALYTICS_INHIBITIONS')} ==`, ...reasons.map(([reason, count]) => `${count} :: ${reason}`));
+		return msg.sendCode('asciidoc', lines);
+	}
+
+	static percent(rate) {
+		return `${(rate * 100).toFixed(1)}%`;
+	}
+
+	static ms(duration, language) {
+		return duration === null ? language.get('COMMAND_ANALYTICS_NO_LATENCY') : `${duration.toFixed(2)}ms`;
+	}
+
+};
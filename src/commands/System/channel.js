@@ -0,0 +1,86 @@
+const { Command } = require('klasa');
+
+module.exports = class extends Command {
+
+	constructor(...args) {
+		super(...args, {
+			runIn: ['text'],
+			permLevel: 6,
+			description: 'Manage which commands can be used in the channels of this server.',
+			extendedHelp: 'Ignored channels do not answer commands, so they can only be unignored from another channel. In no prefix channels, the prefix is optional.',
+			usageDelim: ' ',
+			subcommands: {
+				ignore: { description: 'Toggles whether all commands are ignored in a channel.', usage: '[channel:channel]' },
+				prefix: { description: 'Sets the prefix of a channel, or resets it to the prefix of the server.', usage: '[channel:channel] [prefix:string{1,10}]' },
+				noprefix: { description: 'Toggles whether commands can be used without a prefix in a channel.', usage: '[channel:channel]' },
+				disable: { method: 'disableCommand', description: 'Disables a command or category in a channel.', usage: '<Command:cmd|Category:category> [channel:channel]' },
+				enable: { method: 'enableCommand', description: 'Enables a command or category disabled in a channel.', usage: '<Command:cmd|Category:category> [channel:channel]' },
+				show: { description: 'Shows the settings of a channel.', usage: '[channel:channel]' }
+			},
+			examples: ['channel ignore #general', 'channel prefix #bots ?', 'channel noprefix #bots', 'channel disable Fun', 'channel enable ping #bots']
+		});
+	}
+
+	async ignore(msg, [channel = msg.channel]) {
+		this.checkChannel(msg, channel);
+		const { channels } = this.client.settings;
+		const ignored = !channels.get(channel.id).ignored;
+		if (ignored) await channels.update(channel, { ignored }, msg.guild);
+		else await channels.reset(channel, 'ignored');
+		return msg.sendMessage(msg.language.get('COMMAND_CHANNEL_IGNORED', channel, ignored));
+	}
+
+	async prefix(msg, [channel = msg.channel, prefix]) {
+		this.checkChannel(msg, channel);
+		if (prefix) await this.client.settings.channels.update(channel, { prefix }, msg.guild);
+		else await this.client.settings.channels.reset(channel, 'prefix');
+		return msg.sendMessage(msg.language.get('COMMAND_CHANNEL_PREFIX', channel, prefix));
+	}
+
+	async noprefix(msg, [channel = msg.channel]) {
+		this.checkChannel(msg, channel);
+		const { channels } = this.client.settings;
+		const noPrefix = !channels.get(channel.id).noPrefix;
+		if (noPrefix) await channels.update(channel, { noPrefix }, msg.guild);
+		else await channels.reset(channel, 'noPrefix');
+		return msg.sendMessage(msg.language.get('COMMAND_CHANNEL_NO_PREFIX', channel, noPrefix));
+	}
+
+	async disableCommand(msg, [command, channel = msg.channel]) {
+		this.checkChannel(msg, channel);
+		const { key, name } = this.constructor.resolveTarget(command);
+		if (this.client.settings.channels.get(channel.id)[key].includes(name)) throw msg.language.get('COMMAND_CHANNEL_ALREADY_DISABLED', name, channel);
+		await this.client.settings.channels.updateArray(channel, 'add', key, name, msg.guild);
+		return msg.sendMessage(msg.language.get('COMMAND_CHANNEL_DISABLED', name, channel));
+	}
+
+	async enableCommand(msg, [command, channel = msg.channel]) {
+		this.checkChannel(msg, channel);
+		const { key, name } = this.constructor.resolveTarget(command);
+		if (!this.client.settings.channels.get(channel.id)[key].includes(name)) throw msg.language.get('COMMAND_CHANNEL_NOT_DISABLED', name, channel);
+		await this.client.settings.channels.updateArray(channel, 'remove', key, name, msg.guild);
+		return msg.sendMessage(msg.language.get('COMMAND_CHANNEL_ENABLED', name, channel));
+	}
+
+	async show(msg, [channel = msg.channel]) {
+		this.checkChannel(msg, channel);
+		const { ignored, prefix, noPrefix, disabledCommands, disabledCategories } = this.client.settings.channels.get(channel.id);
+		return msg.sendCode('asciidoc', [
+			`= #${channel.name} =`,
+			`Ignored             :: ${ignored ? 'Yes' : 'No'}`,
+			`Prefix              :: ${prefix || msg.guildSettings.prefix}`,
+			`No Prefix           :: ${noPrefix ? 'Yes' : 'No'}`,
+			`Disabled Commands   :: ${disabledCommands.length ? disabledCommands.join(', ') : 'None'}`,
+			`Disabled Categories :: ${disabledCategories.length ? disabledCategories.join(', ') : 'None'}`
+		]);
+	}
+
+	checkChannel(msg, channel) {
+		if (channel.type !== 'text' || channel.guild !== msg.guild) throw msg.language.get('COMMAND_CHANNEL_INVALID');
+	}
+
+	static resolveTarget(command) {
+		return { key: command instanceof Command ? 'disabledCommands' : 'disabledCategories', name: command.name };
+	}
+
+};
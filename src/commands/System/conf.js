@@ -8,23 +8,19 @@ module.exports = class extends Command {
 			runIn: ['text'],
 			permLevel: 6,
 			description: 'Define per-server configuration.',
-			usage: '<set|get|reset|list|remove> [key:string] [value:string]',
-			usageDelim: ' '
+			usageDelim: ' ',
+			subcommands: {
+				set: { description: 'Sets a key, or adds a value to an array key.', usage: '<key:string> <value:string> [...]' },
+				get: { description: 'Shows the value of a key.', usage: '<key:string>' },
+				reset: { description: 'Resets a key to its default value.', usage: '<key:string>' },
+				list: { description: 'Lists all keys and their values.' },
+				remove: { description: 'Removes a value from an array key.', usage: '<key:string> <value:string> [...]' }
+			}
 		});
 	}
 
-	async run(msg, [action, key, ...value]) {
-		const configs = msg.guild.settings;
-		if (action !== 'list' && !key) throw msg.language.get('COMMAND_CONF_NOKEY');
-		if (['set', 'remove'].includes(action) && !value[0]) throw msg.language.get('COMMAND_CONF_NOVALUE');
-		if (['set', 'remove', 'reset'].includes(action) && !configs.id) await this.client.settings.guilds.create(msg.guild);
-		if (['set', 'remove', 'get', 'reset'].includes(action) && !(key in configs)) throw msg.language.get('COMMAND_CONF_GET_NOEXT', key);
-		await this[action](msg, configs, key, value);
-
-		return null;
-	}
-
-	async set(msg, configs, key, value) {
+	async set(msg, [key, ...value]) {
+		await this.check(msg, key, true);
 		if (this.client.settings.guilds.schema[key].array) {
 			await this.client.settings.guilds.updateArray(msg.guild, 'add', key, value.join(' '));
 			return msg.sendMessage(msg.language.get('COMMAND_CONF_ADDED', value.join(' '), key));
@@ -33,23 +29,27 @@ module.exports = class extends Command {
 		return msg.sendMessage(msg.language.get('COMMAND_CONF_UPDATED', key, response[key]));
 	}
 
-	async remove(msg, configs, key, value) {
+	async remove(msg, [key, ...value]) {
+		await this.check(msg, key, true);
 		if (!this.client.settings.guilds.schema[key].array) return msg.sendMessage(msg.language.get('COMMAND_CONF_KEY_NOT_ARRAY'));
 		return this.client.settings.guilds.updateArray(msg.guild, 'remove', key, value.join(' '))
 			.then(() => msg.sendMessage(msg.language.get('COMMAND_CONF_REMOVE', value.join(' '), key)))
 			.catch(err => msg.sendMessage(err));
 	}
 
-	async get(msg, configs, key) {
-		return msg.sendMessage(msg.language.get('COMMAND_CONF_GET', key, inspect(configs[key])));
+	async get(msg, [key]) {
+		await this.check(msg, key, false);
+		return msg.sendMessage(msg.language.get('COMMAND_CONF_GET', key, inspect(msg.guild.settings[key])));
 	}
 
-	async reset(msg, configs, key) {
+	async reset(msg, [key]) {
+		await this.check(msg, key, true);
 		const response = await this.client.settings.guilds.reset(msg.guild, key);
 		return msg.sendMessage(msg.language.get('COMMAND_CONF_RESET', key, response));
 	}
 
-	async list(msg, configs) {
+	async list(msg) {
+		const configs = msg.guild.settings;
 		const longest = Object.keys(configs).sort((a, b) => a.length < b.length)[0].length;
 		const output = ['= Guild Settings ='];
 		const entries = Object.entries(configs);
@@ -60,6 +60,11 @@ module.exports = class extends Command {
 		return msg.sendCode('asciidoc', output);
 	}
 
+	async check(msg, key, create) {
+		if (!(key in msg.guild.settings)) throw msg.language.get('COMMAND_CONF_GET_NOEXT', key);
+		if (create && !msg.guild.settings.id) await this.client.settings.guilds.create(msg.guild);
+	}
+
 	handle(value) {
 		if (typeof value !== 'object') return value;
 		if (value === null) return 'Not set';
@@ -5,13 +5,14 @@ module.exports = class extends Command {
 	constructor(...args) {
 		super(...args, {
 			permLevel: 10,
-			description: 'Re-disables or temporarily disables a command/inhibitor/monitor/finalizer/event. Default state restored on reboot.',
-			usage: '<Piece:piece>'
+			description: 'Re-disables or temporarily disables a command/inhibitor/monitor/finalizer/event/category. Default state restored on reboot.',
+			usage: '<Piece:piece|Category:category>'
 		});
 	}
 
 	async run(msg, [piece]) {
-		if ((piece.type === 'event' && piece.name === 'Message') || (piece.type === 'monitor' && piece.name === 'commandHandler')) {
+		if ((piece.type === 'event' && piece.name === 'Message') || (piece.type === 'monitor' && piece.name === 'commandHandler') ||
+			(piece.type === 'category' && piece.commands.has('enable'))) {
 			return msg.sendMessage(msg.language.get('COMMAND_DISABLE_WARN'));
 		}
 		piece.disable();
@@ -5,8 +5,8 @@ module.exports = class extends Command {
 	constructor(...args) {
 		super(...args, {
 			permLevel: 10,
-			description: 'Re-enables or temporarily enables a command/inhibitor/monitor/finalizer. Default state restored on reboot.',
-			usage: '<Piece:piece>'
+			description: 'Re-enables or temporarily enables a command/inhibitor/monitor/finalizer/category. Default state restored on reboot.',
+			usage: '<Piece:piece|Category:category>'
 		});
 	}
 
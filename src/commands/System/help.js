@@ -1,34 +1,74 @@
-const { Command } = require('klasa');
+const { Command, Category, RichDisplay } = require('klasa');
+const { MessageEmbed } = require('discord.js');
 
 module.exports = class extends Command {
 
 	constructor(...args) {
 		super(...args, {
 			aliases: ['commands'],
-			description: 'Display help for a command.',
-			usage: '[Command:cmd]'
+			description: 'Display help for a command or category, or search the commands.',
+			usage: '[Command:cmd|Category:category|query:string]',
+			flags: { search: 'boolean' },
+			examples: ['help', 'help ping', 'help System', 'help --search ban']
 		});
 	}
 
-	async run(msg, [cmd]) {
-		const method = this.client.user.bot ? 'author' : 'channel';
-		if (cmd) {
-			const info = [
+	async run(msg, [param]) {
+		if (param instanceof Command && !msg.flags.search) return this.commandHelp(msg, param);
+		if (param instanceof Category && !msg.flags.search) return this.fullHelp(msg, param);
+		if (param) return this.search(msg, typeof param === 'string' ? param : param.name);
+		return this.fullHelp(msg);
+	}
+
+	async commandHelp(msg, cmd) {
+		const info = this.buildCommandInfo(msg, cmd);
+		const description = msg.language.localize(cmd.description);
+		// The default extended help of commands is shown in the language of the message
+		const extendedHelp = cmd.extendedHelp === 'No extended help available.' ? msg.language.get('COMMAND_HELP_NO_EXTENDED') : msg.language.localize(cmd.extendedHelp);
+		if (!msg.channel.embedable) {
+			return msg.sendMessage([
 				`= ${cmd.name} = `,
-				cmd.description,
-				`usage :: ${cmd.usage.fullUsage(msg)}`,
-				'Extended Help ::',
-				cmd.extendedHelp
-			].join('\n');
-			return msg.sendMessage(info, { code: 'asciidoc' });
+				description,
+				...info.map(([name, value]) => `${name.toLowerCase()} :: ${value.split('\n').join(`\n${name.toLowerCase()} :: `)}`),
+				`${msg.language.get('COMMAND_HELP_EXTENDED')} ::`,
+				extendedHelp
+			].join('\n'), { code: 'asciidoc' });
+		}
+		const embed = new MessageEmbed()
+			.setTitle(cmd.name)
+			.setDescription(description);
+		for (const [name, value] of info) embed.addField(name, value);
+		embed.addField(msg.language.get('COMMAND_HELP_EXTENDED'), extendedHelp);
+		return msg.sendEmbed(embed);
+	}
+
+	async fullHelp(msg, only = null) {
+		const help = await this.buildHelp(msg, only);
+		if (only && !Object.keys(help).length) return msg.sendMessage(msg.language.get('COMMAND_HELP_NO_MATCH', only.name));
+		if (!msg.reactable || !msg.channel.embedable) return this.textHelp(msg, help);
+
+		const display = new RichDisplay();
+		for (const [category, subCategories] of Object.entries(help)) {
+			const intro = msg.language.localize(this.client.commands.categories.get(category).description);
+			const lines = intro ? [intro, ''] : [];
+			for (const [subCategory, commands] of Object.entries(subCategories)) {
+				lines.push(`**${subCategory}**`, ...commands.map(({ name, description }) => `\`${msg.guildSettings.prefix}${name}\` ${description}`), '');
+			}
+			for (const page of this.constructor.paginate(lines)) display.addPage(template => template.setTitle(msg.language.get('COMMAND_HELP_CATEGORY', category)).setDescription(page));
 		}
-		const help = await this.buildHelp(msg);
-		const categories = Object.keys(help);
+		return display.run(msg, { filter: (reaction, user) => user.id === msg.author.id });
+	}
+
+	async textHelp(msg, help) {
+		const method = this.client.user.bot ? 'author' : 'channel';
+		const longest = this.constructor.longest(help);
 		const helpMessage = [];
-		for (let cat = 0; cat < categories.length; cat++) {
-			helpMessage.push(`**${categories[cat]} Commands**: \`\`\`asciidoc`, '');
-			const subCategories = Object.keys(help[categories[cat]]);
-			for (let subCat = 0; subCat < subCategories.length; subCat++) helpMessage.push(`= ${subCategories[subCat]} =`, `${help[categories[cat]][subCategories[subCat]].join('\n')}\n`);
+		for (const [category, subCategories] of Object.entries(help)) {
+			const intro = msg.language.localize(this.client.commands.categories.get(category).description);
+			helpMessage.push(`**${msg.language.get('COMMAND_HELP_CATEGORY', category)}**${intro ? ` - ${intro}` : ''}: \`\`\`asciidoc`, '');
+			for (const [subCategory, commands] of Object.entries(subCategories)) {
+				helpMessage.push(`= ${subCategory} =`, `${commands.map(({ name, description }) => `${msg.guildSettings.prefix}${name.padEnd(longest)} :: ${description}`).join('\n')}\n`);
+			}
 			helpMessage.push('```\n\u200b');
 		}
 
@@ -37,26 +77,106 @@ module.exports = class extends Command {
 			.catch(() => { if (msg.channel.type !== 'dm' && this.client.user.bot) msg.sendMessage(msg.language.get('COMMAND_HELP_NODM')); });
 	}
 
-	async buildHelp(msg) {
+	async search(msg, query) {
+		query = query.toLowerCase();
+		const guildAliases = this.client.commands.getGuildAliases(msg.guild);
+		const byName = [];
+		const byDescription = [];
+		for (const command of await this.usableCommands(msg)) {
+			const names = [command.name, ...command.aliases, ...guildAliases.filter(cmd => cmd === command).keyArray()];
+			if (names.some(name => name.toLowerCase().includes(query))) byName.push(command);
+			else if (String(msg.language.localize(command.description)).toLowerCase().includes(query)) byDescription.push(command);
+		}
+		const matches = [...byName, ...byDescription];
+		if (!matches.length) return msg.sendMessage(msg.language.get('COMMAND_HELP_NO_MATCH', query));
+		if (matches.length === 1) return this.commandHelp(msg, matches[0]);
+
+		if (!msg.reactable || !msg.channel.embedable) {
+			const longest = matches.reduce((long, command) => Math.max(long, command.name.length), 0);
+			return msg.sendMessage([
+				`= ${msg.language.get('COMMAND_HELP_SEARCH', query)} =`,
+				...matches.map(command => `${msg.guildSettings.prefix}${command.name.padEnd(longest)} :: ${msg.language.localize(command.description)}`)
+			].join('\n'), { code: 'asciidoc' });
+		}
+		const display = new RichDisplay(new MessageEmbed().setTitle(msg.language.get('COMMAND_HELP_SEARCH', query)));
+		const lines = matches.map(command => `\`${msg.guildSettings.prefix}${command.name}\` ${msg.language.localize(command.description)}`);
+		for (const page of this.constructor.paginate(lines)) display.addPage(template => template.setDescription(page));
+		return display.run(msg, { filter: (reaction, user) => user.id === msg.author.id });
+	}
+
+	buildCommandInfo(msg, cmd) {
+		const guildAliases = this.client.commands.getGuildAliases(msg.guild).filter(command => command === cmd);
+		const usages = [cmd.usage.fullUsage(msg), ...cmd.subcommands.map(subcommand => {
+			const description = msg.language.localize(subcommand.description);
+			return `${subcommand.usage.fullUsage(msg)}${description ? ` - ${description}` : ''}`;
+		})];
+		const { language } = msg;
+		const info = [[language.get('COMMAND_HELP_USAGE'), usages.join('\n')]];
+		if (cmd.aliases.length) info.push([language.get('COMMAND_HELP_ALIASES'), cmd.aliases.join(', ')]);
+		if (guildAliases.size) info.push([language.get('COMMAND_HELP_SERVER_ALIASES'), guildAliases.keyArray().join(', ')]);
+		info.push(
+			[language.get('COMMAND_HELP_PERMISSION_LEVEL'), String(this.client.commands.getPermissionLevel(cmd))],
+			[language.get('COMMAND_HELP_COOLDOWN'), cmd.cooldown ? `${cmd.cooldown}s` : language.get('COMMAND_HELP_NO_COOLDOWN')],
+			[language.get('COMMAND_HELP_RUN_IN'), cmd.runIn.join(', ')]
+		);
+		const args = cmd.usage.breakdown(language);
+		if (args.length) info.push([language.get('COMMAND_HELP_ARGUMENTS'), args.join('\n')]);
+		const examples = language.localize(cmd.examples);
+		if (Array.isArray(examples) && examples.length) info.push([language.get('COMMAND_HELP_EXAMPLES'), examples.map(example => `${msg.guildSettings.prefix}${example}`).join('\n')]);
+		return info;
+	}
+
+	async buildHelp(msg, only = null) {
 		const help = {};
 
-		const commandNames = Array.from(this.client.commands.keys());
-		const longest = commandNames.reduce((long, str) => Math.max(long, str.length), 0);
+		const usable = await this.usableCommands(msg);
+		await Promise.all((only ? usable.filter(command => command.category === only.name) : usable).map((command) => {
+			if (!help.hasOwnProperty(command.category)) help[command.category] = {};
+			if (!help[command.category].hasOwnProperty(command.subCategory)) help[command.category][command.subCategory] = [];
+			const commands = help[command.category][command.subCategory];
+			commands.push({ name: command.name, description: msg.language.localize(command.description) });
+			return Promise.all(command.subcommands.map(async (subcommand) => {
+				if (!await this.canRunSubcommand(msg, command, subcommand)) return;
+				commands.push({ name: subcommand.toString(), description: msg.language.localize(subcommand.description) });
+			}));
+		}));
 
-		await Promise.all(this.client.commands.map((command) =>
+		return help;
+	}
+
+	async usableCommands(msg) {
+		const usable = await Promise.all(this.client.commands.map(command =>
 			this.client.inhibitors.run(msg, command, true)
-				.then(() => {
-					if (!help.hasOwnProperty(command.category)) help[command.category] = {};
-					if (!help[command.category].hasOwnProperty(command.subCategory)) help[command.category][command.subCategory] = [];
-					help[command.category][command.subCategory].push(`${msg.guildSettings.prefix}${command.name.padEnd(longest)} :: ${command.description}`);
-					return;
-				})
-				.catch(() => {
-					// noop
-				})
+				.then(() => command)
+				.catch(() => null)
 		));
+		return usable.filter(command => command);
+	}
 
-		return help;
+	async canRunSubcommand(msg, command, subcommand) {
+		const override = this.client.commands.resolvePermissionOverride(msg, command, subcommand);
+		if (override) return true;
+		if (override === false && msg.guild && msg.author.id !== msg.guild.ownerID) return false;
+		return msg.hasAtLeastPermissionLevel(this.client.commands.getPermissionLevel(command, subcommand));
+	}
+
+	static longest(help) {
+		let longest = 0;
+		for (const subCategories of Object.values(help)) {
+			for (const commands of Object.values(subCategories)) {
+				for (const { name } of commands) longest = Math.max(longest, name.length);
+			}
+		}
+		return longest;
+	}
+
+	static paginate(lines, max = 2000) {
+		const pages = [''];
+		for (const line of lines) {
+			if (pages[pages.length - 1].length + line.length + 1 > max) pages.push('');
+			pages[pages.length - 1] += `${line}\n`;
+		}
+		return pages.filter(page => page.trim());
 	}
 
 };
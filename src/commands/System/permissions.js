@@ -0,0 +1,96 @@
+const { Command, CommandStore } = require('klasa');
+const { GuildMember, Role } = require('discord.js');
+
+module.exports = class extends Command {
+
+	constructor(...args) {
+		const usage = '<member:member|role:role|channel:channel> <Command:cmd|Category:category>';
+		super(...args, {
+			runIn: ['text'],
+			permLevel: 6,
+			aliases: ['perms'],
+			description: 'Allow or deny commands and categories for members, roles and channels of this server.',
+			extendedHelp: 'Overrides for a member take precedence over the ones for their roles, which take precedence over the ones for the channel.',
+			usageDelim: ' ',
+			subcommands: {
+				allow: { description: 'Allows a command or category for a member, role or channel.', usage },
+				deny: { description: 'Denies a command or category for a member, role or channel.', usage },
+				reset: { description: 'Removes the override of a command or category for a member, role or channel.', usage },
+				list: { description: 'Lists the permission overrides of this server.', usage: '[member:member|role:role|channel:channel]' }
+			},
+			examples: ['permissions deny #general ping', 'permissions allow @Moderators Moderation']
+		});
+	}
+
+	async allow(msg, [target, command]) {
+		const { name, category } = this.constructor.resolveTarget(command);
+		const commands = category ? command.commands.array() : [command];
+		const level = Math.max(...commands.map(cmd => Math.max(this.client.commands.getPermissionLevel(cmd),
+			...cmd.subcommands.map(subcommand => this.client.commands.getPermissionLevel(cmd, subcommand)))));
+		if (level > CommandStore.maxOverrideLevel || !await msg.hasAtLeastPermissionLevel(level)) {
+			throw msg.language.get('COMMAND_PERMISSIONS_TOO_HIGH', name);
+		}
+		return this.setOverride(msg, target, name, category, true, level);
+	}
+
+	async deny(msg, [target, command]) {
+		const { name, category } = this.constructor.resolveTarget(command);
+		return this.setOverride(msg, target, name, category, false, 0);
+	}
+
+	async reset(msg, [target, command]) {
+		const { name, category } = this.constructor.resolveTarget(command);
+		const entry = this.findEntry(msg, target, name, category);
+		if (!entry) throw msg.language.get('COMMAND_PERMISSIONS_NOT_FOUND', name, this.constructor.displayName(target));
+		await this.client.settings.permissions.updateArray(msg.guild, 'remove', 'overrides', entry);
+		return msg.sendMessage(msg.language.get('COMMAND_PERMISSIONS_RESET', name, this.constructor.displayName(target)));
+	}
+
+	async list(msg, [target]) {
+		const overrides = this.client.commands.getPermissionOverrides(msg.guild)
+			.filter(override => !target || override.id === target.id);
+		if (!overrides.length) return msg.sendMessage(msg.language.get('COMMAND_PERMISSIONS_LIST_EMPTY'));
+		const lines = overrides.map(override => [this.constructor.displayName(this.resolveOverrideTarget(msg, override)),
+			`${override.allow ? 'allow' : 'deny'} ${override.category ? `category ${override.target}` : override.target}`]);
+		const longest = lines.reduce((long, [name]) => Math.max(long, name.length), 0);
+		return msg.sendCode('asciidoc', ['= Permission Overrides =', ...lines.map(([name, override]) => `${name.padEnd(longest)} :: ${override}`)]);
+	}
+
+	async setOverride(msg, target, name, category, allow, level) {
+		await this.client.settings.permissions.ensureCreate(msg.guild.id);
+		const entry = this.findEntry(msg, target, name, category);
+		if (entry) await this.client.settings.permissions.updateArray(msg.guild, 'remove', 'overrides', entry);
+		const override = { type: this.constructor.targetType(target), id: target.id, target: name, category, allow, level };
+		await this.client.settings.permissions.updateArray(msg.guild, 'add', 'overrides', JSON.stringify(override));
+		return msg.sendMessage(msg.language.get('COMMAND_PERMISSIONS_SET', allow, name, this.constructor.displayName(target)));
+	}
+
+	findEntry(msg, target, name, category) {
+		return this.client.settings.permissions.get(msg.guild.id).overrides.find((entry) => {
+			const override = CommandStore.parsePermissionOverride(entry);
+			return override && override.id === target.id && override.target === name && override.category === category;
+		});
+	}
+
+	resolveOverrideTarget(msg, override) {
+		const store = { user: msg.guild.members, role: msg.guild.roles, channel: msg.guild.channels }[override.type];
+		return store.get(override.id) || { id: override.id };
+	}
+
+	static resolveTarget(command) {
+		return { name: command.name, category: !(command instanceof Command) };
+	}
+
+	static targetType(target) {
+		if (target instanceof GuildMember) return 'user';
+		if (target instanceof Role) return 'role';
+		return 'channel';
+	}
+
+	static displayName(target) {
+		if (target instanceof GuildMember) return target.user.tag;
+		if (target instanceof Role) return `@${target.name}`;
+		return target.name ? `#${target.name}` : target.id;
+	}
+
+};
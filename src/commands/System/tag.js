@@ -0,0 +1,56 @@
+const { Command, TagStore } = require('klasa');
+const { MessageEmbed } = require('discord.js');
+
+module.exports = class extends Command {
+
+	constructor(...args) {
+		super(...args, {
+			runIn: ['text'],
+			description: 'Manage the tags of this server, text commands which can be used by their name.',
+			usageDelim: ' ',
+			flags: { embed: 'boolean' },
+			subcommands: {
+				add: { description: 'Adds a tag, the text can include {user} and {args}.', usage: '<name:string{1,32}> <content:string> [...]', permLevel: 6 },
+				edit: { description: 'Edits the text of a tag.', usage: '<name:string> <content:string> [...]', permLevel: 6 },
+				remove: { description: 'Removes a tag.', usage: '<name:string>', permLevel: 6 },
+				list: { description: 'Lists the tags of this server.' },
+				show: { description: 'Shows a tag.', usage: '<name:string> [args:string] [...]' }
+			}
+		});
+	}
+
+	async add(msg, [name, ...content]) {
+		name = name.toLowerCase();
+		if (this.client.commands.has(name) || this.client.tags.get(msg.guild, name)) throw msg.language.get('COMMAND_TAG_EXISTS', name);
+		await this.client.tags.set(msg.guild, name, content.join(' '), Boolean(msg.flags.embed));
+		return msg.sendMessage(msg.language.get('COMMAND_TAG_ADDED', name));
+	}
+
+	async edit(msg, [name, ...content]) {
+		name = name.toLowerCase();
+		if (!this.client.tags.get(msg.guild, name)) throw msg.language.get('COMMAND_TAG_NOT_FOUND', name);
+		await this.client.tags.set(msg.guild, name, content.join(' '), Boolean(msg.flags.embed));
+		return msg.sendMessage(msg.language.get('COMMAND_TAG_EDITED', name));
+	}
+
+	async remove(msg, [name]) {
+		name = name.toLowerCase();
+		if (!await this.client.tags.delete(msg.guild, name)) throw msg.language.get('COMMAND_TAG_NOT_FOUND', name);
+		return msg.sendMessage(msg.language.get('COMMAND_TAG_REMOVED', name));
+	}
+
+	async list(msg) {
+		const tags = this.client.tags.list(msg.guild);
+		if (!tags.size) return msg.sendMessage(msg.language.get('COMMAND_TAG_LIST_EMPTY'));
+		return msg.sendCode('asciidoc', ['= Tags =', tags.keyArray().sort().join(', ')]);
+	}
+
+	async show(msg, [name, ...args]) {
+		const tag = this.client.tags.get(msg.guild, name.toLowerCase());
+		if (!tag) throw msg.language.get('COMMAND_TAG_NOT_FOUND', name);
+		const content = TagStore.format(tag, msg, args.filter(arg => arg !== undefined).join(' '));
+		if (tag.embed && msg.channel.embedable) return msg.sendEmbed(new MessageEmbed().setDescription(content));
+		return msg.sendMessage(content);
+	}
+
+};
@@ -1,8 +1,12 @@
-const { Event } = require('klasa');
+const { Event, CommandTimeoutError } = require('klasa');
 
 module.exports = class extends Event {
 
 	run(msg, command, params, error) {
+		if (error instanceof CommandTimeoutError) {
+			msg.sendMessage(msg.language.get('COMMAND_ERROR_TIMEOUT', Math.round(error.timeout / 1000))).catch(err => this.client.emit('wtf', err));
+			return;
+		}
 		if (error.stack) this.client.emit('wtf', error.stack);
 		else if (error.message) msg.sendCode('JSON', error.message).catch(err => this.client.emit('wtf', err));
 		else msg.sendMessage(error).catch(err => this.client.emit('wtf', err));
@@ -2,7 +2,8 @@ const { Event } = require('klasa');
 
 module.exports = class extends Event {
 
-	run(msg, command, response) {
+	run(msg, command, response, inhibitors) {
+		this.client.analytics.inhibit(command, inhibitors);
 		if (response && response.length > 0) msg.send(response);
 	}
 
@@ -3,6 +3,8 @@ const { Event } = require('klasa');
 module.exports = class extends Event {
 
 	run(msg) {
+		const signal = this.client.commandSignals.get(msg.id);
+		if (signal) signal.cancel('deleted');
 		for (const [key, value] of this.client.commandMessages) {
 			if (key === msg.id) return this.client.commandMessages.delete(key);
 			if (msg.id === value.response.id) return this.client.commandMessages.delete(key);
@@ -0,0 +1,11 @@
+const { Event } = require('klasa');
+
+module.exports = class extends Event {
+
+	run(gateway, target, oldSettings, newSettings) {
+		if (!('prefix' in newSettings)) return;
+		const commandHandler = this.client.monitors.get('commandHandler');
+		if (commandHandler) commandHandler.clearPrefixes(oldSettings.prefix);
+	}
+
+};
@@ -0,0 +1,13 @@
+const { Extendable } = require('klasa');
+
+module.exports = class extends Extendable {
+
+	constructor(...args) {
+		super(...args, ['Message']);
+	}
+
+	get extend() {
+		return this.client.settings.channels.get(this.channel.id);
+	}
+
+};
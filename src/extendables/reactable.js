@@ -8,7 +8,7 @@ module.exports = class extends Extendable {
 
 	get extend() {
 		if (!this.guild) return true;
-		return this.readable && this.permissionsFor(this.guild.me).has('ADD_REACTIONS');
+		return this.channel.readable && this.channel.permissionsFor(this.guild.me).has('ADD_REACTIONS');
 	}
 
 };
@@ -0,0 +1,9 @@
+const { Finalizer } = require('klasa');
+
+module.exports = class extends Finalizer {
+
+	run(msg, mes, timer, runTimer) {
+		this.client.analytics.run(msg.cmd, runTimer);
+	}
+
+};
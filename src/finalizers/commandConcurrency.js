@@ -0,0 +1,9 @@
+const { Finalizer } = require('klasa');
+
+module.exports = class extends Finalizer {
+
+	run(msg) {
+		this.client.concurrency.release(msg);
+	}
+
+};
@@ -2,12 +2,11 @@ const { Finalizer } = require('klasa');
 
 module.exports = class extends Finalizer {
 
-	run(msg) {
-		if (msg.author.id === this.client.config.ownerID) return;
+	async run(msg) {
 		if (!msg.cmd.cooldown || msg.cmd.cooldown <= 0) return;
+		if (await this.client.cooldowns.bypasses(msg, msg.cmd)) return;
 
-		msg.cmd.cooldowns.set(msg.author.id, Date.now());
-		setTimeout(() => msg.cmd.cooldowns.delete(msg.author.id), msg.cmd.cooldown * 1000);
+		await this.client.cooldowns.use(msg, msg.cmd).catch(err => this.client.emit('error', err));
 	}
 
 };
@@ -6,21 +6,32 @@ module.exports = {
 	RichDisplay: require('./lib/util/RichDisplay'),
 	RichMenu: require('./lib/util/RichMenu'),
 	ReactionHandler: require('./lib/util/ReactionHandler'),
+	REPL: require('./lib/util/REPL'),
 	Stopwatch: require('./lib/util/Stopwatch'),
+	ConcurrencyManager: require('./lib/util/ConcurrencyManager'),
+	CommandSignal: require('./lib/util/CommandSignal'),
+	CommandTimeoutError: require('./lib/util/CommandTimeoutError'),
+	AmbiguousArgumentError: require('./lib/util/AmbiguousArgumentError'),
+	Argument: require('./lib/structures/Argument'),
+	Category: require('./lib/structures/Category'),
 	Command: require('./lib/structures/Command'),
 	CommandMessage: require('./lib/structures/CommandMessage'),
+	Subcommand: require('./lib/structures/Subcommand'),
 	Event: require('./lib/structures/Event'),
 	Extendable: require('./lib/structures/Extendable'),
 	Finalizer: require('./lib/structures/Finalizer'),
+	Hook: require('./lib/structures/Hook'),
 	Inhibitor: require('./lib/structures/Inhibitor'),
 	Language: require('./lib/structures/Language'),
 	Monitor: require('./lib/structures/Monitor'),
 	PermissionLevels: require('./lib/structures/PermissionLevels'),
 	Provider: require('./lib/structures/Provider'),
+	ArgumentStore: require('./lib/structures/ArgumentStore'),
 	CommandStore: require('./lib/structures/CommandStore'),
 	EventStore: require('./lib/structures/EventStore'),
 	ExtendableStore: require('./lib/structures/ExtendableStore'),
 	FinalizerStore: require('./lib/structures/FinalizerStore'),
+	HookStore: require('./lib/structures/HookStore'),
 	InhibitorStore: require('./lib/structures/InhibitorStore'),
 	LanguageStore: require('./lib/structures/LanguageStore'),
 	MonitorStore: require('./lib/structures/MonitorStore'),
@@ -31,12 +42,17 @@ module.exports = {
 	SchemaManager: require('./lib/settings/SchemaManager'),
 	SettingGateway: require('./lib/settings/SettingGateway'),
 	SQL: require('./lib/settings/SQL'),
+	TagStore: require('./lib/settings/TagStore'),
+	CooldownManager: require('./lib/settings/CooldownManager'),
+	AnalyticsManager: require('./lib/settings/AnalyticsManager'),
 	ArgResolver: require('./lib/parsers/ArgResolver'),
 	Resolver: require('./lib/parsers/Resolver'),
 	SettingResolver: require('./lib/parsers/SettingResolver'),
 	ParsedUsage: require('./lib/usage/ParsedUsage'),
 	Possible: require('./lib/usage/Possible'),
 	Tag: require('./lib/usage/Tag'),
+	MockFactory: require('./lib/testing/MockFactory'),
+	TestClient: require('./lib/testing/TestClient'),
 	version: require('../package').version
 };
 
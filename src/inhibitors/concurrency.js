@@ -0,0 +1,14 @@
+const { Inhibitor } = require('klasa');
+
+module.exports = class extends Inhibitor {
+
+	constructor(...args) {
+		super(...args, { spamProtection: true });
+	}
+
+	async run(msg, cmd) {
+		if (this.client.concurrency.acquire(msg, cmd)) return;
+		throw msg.language.get('INHIBITOR_CONCURRENCY', cmd.concurrency);
+	}
+
+};
@@ -7,21 +7,13 @@ module.exports = class extends Inhibitor {
 	}
 
 	async run(msg, cmd) {
-		if (msg.author.id === this.client.config.ownerID) return;
 		if (!cmd.cooldown || cmd.cooldown <= 0) return;
+		if (await this.client.cooldowns.bypasses(msg, cmd)) return;
 
-		const instance = cmd.cooldowns.get(msg.author.id);
+		const remaining = this.client.cooldowns.remaining(msg, cmd);
+		if (remaining <= 0) return;
 
-		if (!instance) return;
-
-		const remaining = ((cmd.cooldown * 1000) - (Date.now() - instance)) / 1000;
-
-		if (remaining < 0) {
-			cmd.cooldowns.delete(msg.author.id);
-			return;
-		}
-
-		throw msg.language.get('INHIBITOR_COOLDOWN', Math.ceil(remaining));
+		throw msg.language.get('INHIBITOR_COOLDOWN', Math.ceil(remaining / 1000));
 	}
 
 };
@@ -3,8 +3,9 @@ const { Inhibitor } = require('klasa');
 module.exports = class extends Inhibitor {
 
 	async run(msg, cmd) {
-		if (cmd.enabled && !msg.guildSettings.disabledCommands.includes(cmd.name)) return;
-		throw msg.language.get('INHIBITOR_DISABLED');
+		if (!cmd.enabled || msg.guildSettings.disabledCommands.includes(cmd.name) || this.client.commands.isCategoryDisabled(cmd, msg.guild)) throw msg.language.get('INHIBITOR_DISABLED');
+		const { disabledCommands, disabledCategories } = msg.channelSettings;
+		if (disabledCommands.includes(cmd.name) || disabledCategories.includes(cmd.category)) throw msg.language.get('INHIBITOR_DISABLED_CHANNEL');
 	}
 
 };
@@ -0,0 +1,11 @@
+const { Inhibitor } = require('klasa');
+
+module.exports = class extends Inhibitor {
+
+	async run(msg, cmd) {
+		if (!msg.guild || msg.author.id === msg.guild.ownerID) return;
+		if (this.client.commands.resolvePermissionOverride(msg, cmd) !== false) return;
+		throw msg.language.get('INHIBITOR_PERMISSION_OVERRIDE');
+	}
+
+};
@@ -3,7 +3,8 @@ const { Inhibitor } = require('klasa');
 module.exports = class extends Inhibitor {
 
 	async run(msg, cmd) {
-		const { broke, permission } = await this.client.permissionLevels.run(msg, cmd.permLevel);
+		if (this.client.commands.resolvePermissionOverride(msg, cmd)) return;
+		const { broke, permission } = await this.client.permissionLevels.run(msg, this.client.commands.getPermissionLevel(cmd, msg.subcommand));
 		if (permission) return;
 		throw broke ? msg.language.get('INHIBITOR_PERMISSIONS') : true;
 	}
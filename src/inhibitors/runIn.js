@@ -3,9 +3,10 @@ const { Inhibitor } = require('klasa');
 module.exports = class extends Inhibitor {
 
 	async run(msg, cmd) {
-		if (cmd.runIn.length <= 0) throw msg.language.get('INHIBITOR_RUNIN_NONE', cmd.name);
-		if (cmd.runIn.includes(msg.channel.type)) return;
-		throw msg.language.get('INHIBITOR_RUNIN', cmd.runIn.join(', '));
+		const command = msg.subcommand || cmd;
+		if (command.runIn.length <= 0) throw msg.language.get('INHIBITOR_RUNIN_NONE', command.toString());
+		if (command.runIn.includes(msg.channel.type)) return;
+		throw msg.language.get('INHIBITOR_RUNIN', command.runIn.join(', '));
 	}
 
 };
@@ -27,21 +27,51 @@ module.exports = class extends Language {
 			RESOLVER_INVALID_FLOAT: (name) => `${name} must be a valid number.`,
 			RESOLVER_INVALID_REGEX_MATCH: (name, pattern) => `${name} must follow this regex pattern \`${pattern}\`.`,
 			RESOLVER_INVALID_URL: (name) => `${name} must be a valid url.`,
+			RESOLVER_INVALID_DURATION: (name) => `${name} must be a valid duration, such as 1h30m or 2 days.`,
+			RESOLVER_INVALID_DATE: (name) => `${name} must be a valid date, or a duration from now.`,
+			RESOLVER_DATE_BEFORE: (name, date) => `${name} must be before ${date}.`,
+			RESOLVER_DATE_AFTER: (name, date) => `${name} must be after ${date}.`,
+			RESOLVER_SEARCH_MULTIPLE: (name, matches) => `Multiple matches found for ${name}: ${matches}. Please be more specific.`,
+			RESOLVER_SEARCH_PROMPT: (name) => `Multiple matches found for ${name}, react with the number of the one you meant.`,
+			RESOLVER_SEARCH_LOADING: 'Searching...',
+			RESOLVER_SEARCH_CANCELLED: (name) => `No match was picked for ${name}.`,
 			RESOLVER_STRING_SUFFIX: ' characters',
 			RESOLVER_MINMAX_EXACTLY: (name, min, suffix) => `${name} must be exactly ${min}${suffix}.`,
 			RESOLVER_MINMAX_BOTH: (name, min, max, suffix) => `${name} must be between ${min} and ${max}${suffix}.`,
 			RESOLVER_MINMAX_MIN: (name, min, suffix) => `${name} must be greater than ${min}${suffix}.`,
 			RESOLVER_MINMAX_MAX: (name, max, suffix) => `${name} must be less than ${max}${suffix}.`,
+			USAGE_REQUIRED: 'required',
+			USAGE_OPTIONAL: 'optional',
+			USAGE_DEFAULT: (value) => `defaults to ${value}`,
+			USAGE_BOUNDS: (min, max) => {
+				if (min !== null && max !== null) return min === max ? `of exactly ${min}` : `from ${min} to ${max}`;
+				return min !== null ? `of at least ${min}` : `of at most ${max}`;
+			},
+			USAGE_REGEX: (regex) => `matching ${regex}`,
+			USAGE_REPEAT: 'The last argument can be repeated.',
 			COMMANDMESSAGE_MISSING: 'Missing one or more required arguments after end of input.',
 			COMMANDMESSAGE_MISSING_REQUIRED: (name) => `${name} is a required argument.`,
 			COMMANDMESSAGE_MISSING_OPTIONALS: (possibles) => `Missing a required option: (${possibles})`,
 			COMMANDMESSAGE_NOMATCH: (possibles) => `Your option didn't match any of the possibilities: (${possibles})`,
-			MONITOR_COMMAND_HANDLER_REPROMPT: (tag, error) => `${tag} | **${error}** | You have **30** seconds to respond to this prompt with a valid argument. Type **"ABORT"** to abort this prompt.`,
+			COMMANDMESSAGE_FLAG_VALUE: (name) => `The flag --${name} requires a value.`,
+			COMMANDMESSAGE_UNKNOWN_FLAG: (name) => `This command does not accept the flag --${name}.`,
+			COMMANDMESSAGE_NO_SUBCOMMAND: (subcommands) => `You must provide one of the subcommands: (${subcommands})`,
+			MONITOR_COMMAND_HANDLER_REPROMPT: (tag, error, time, abort, usage) => [
+				`${tag} | **${error}** | You have **${time}** seconds to respond to this prompt with a valid argument.`,
+				`Type **"${abort.toUpperCase()}"** to abort this prompt.${usage ? `\n\`${usage}\`` : ''}`
+			].join(' '),
+			MONITOR_COMMAND_HANDLER_ABORT_KEYWORD: 'abort',
 			MONITOR_COMMAND_HANDLER_ABORTED: 'Aborted',
+			MONITOR_COMMAND_HANDLER_SUGGESTIONS: (command, suggestions) => `Unknown command \`${command}\`. Did you mean ${suggestions.map(name => `\`${name}\``).join(', ')}?`,
 			INHIBITOR_COOLDOWN: (remaining) => `You have just used this command. You can use this command again in ${remaining} seconds.`,
+			INHIBITOR_CONCURRENCY: (limit) => limit === 1 ?
+				'This command is already running, please wait for it to finish.' :
+				`This command is already running ${limit} times, please wait for one of them to finish.`,
 			INHIBITOR_DISABLED: 'This command is currently disabled',
+			INHIBITOR_DISABLED_CHANNEL: 'This command is disabled in this channel',
 			INHIBITOR_MISSING_BOT_PERMS: (missing) => `Insufficient permissions, missing: **${missing}**`,
 			INHIBITOR_PERMISSIONS: 'You do not have permission to use this command',
+			INHIBITOR_PERMISSION_OVERRIDE: 'This server does not allow you to use this command here',
 			INHIBITOR_REQUIRED_SETTINGS: (settings) => `The guild is missing the **${settings.join(', ')}** guild setting${settings.length > 1 ? 's' : ''} and thus the command cannot run.`,
 			INHIBITOR_RUNIN: (types) => `This command is only available in ${types} channels`,
 			INHIBITOR_RUNIN_NONE: (name) => `The ${name} command is not configured to run in any channel.`,
@@ -85,9 +115,48 @@ module.exports = class extends Language {
 			],
 			COMMAND_HELP_DM: '📥 | The list of commands you have access to has been sent to your DMs.',
 			COMMAND_HELP_NODM: '❌ | You have DMs disabled, I couldn\'t send you the commands in DMs.',
+			COMMAND_HELP_SEARCH: (query) => `Commands matching "${query}"`,
+			COMMAND_HELP_NO_MATCH: (query) => `No command you can use matches **${query}**.`,
+			COMMAND_HELP_NO_EXTENDED: 'No extended help available.',
+			COMMAND_HELP_CATEGORY: (category) => `${category} Commands`,
+			COMMAND_HELP_USAGE: 'Usage',
+			COMMAND_HELP_ALIASES: 'Aliases',
+			COMMAND_HELP_SERVER_ALIASES: 'Server Aliases',
+			COMMAND_HELP_PERMISSION_LEVEL: 'Permission Level',
+			COMMAND_HELP_COOLDOWN: 'Cooldown',
+			COMMAND_HELP_NO_COOLDOWN: 'None',
+			COMMAND_HELP_RUN_IN: 'Run In',
+			COMMAND_HELP_ARGUMENTS: 'Arguments',
+			COMMAND_HELP_EXAMPLES: 'Examples',
+			COMMAND_HELP_EXTENDED: 'Extended Help',
 			COMMAND_ENABLE: (type, name) => `+ Successfully enabled ${type}: ${name}`,
 			COMMAND_DISABLE: (type, name) => `+ Successfully disabled ${type}: ${name}`,
 			COMMAND_DISABLE_WARN: 'You probably don\'t want to disable that, since you wouldn\'t be able to run any command to enable it again',
+			COMMAND_ERROR_TIMEOUT: (seconds) => `This command took longer than ${seconds} seconds to run and was cancelled.`,
+			COMMAND_ALIAS_EXISTS: (alias) => `The alias **${alias}** is already used by a command.`,
+			COMMAND_ALIAS_ADDED: (alias, command) => `Successfully added the alias **${alias}** for the command **${command}**.`,
+			COMMAND_ALIAS_REMOVED: (alias) => `Successfully removed the alias **${alias}**.`,
+			COMMAND_ALIAS_NOT_FOUND: (alias) => `This server has no alias named **${alias}**.`,
+			COMMAND_ALIAS_LIST_EMPTY: 'This server has no custom aliases.',
+			COMMAND_PERMISSIONS_TOO_HIGH: (target) => `You cannot allow **${target}**, as you do not have its permission level yourself, or it is reserved to the bot owner.`,
+			COMMAND_PERMISSIONS_SET: (allow, target, name) => `**${target}** is now ${allow ? 'allowed' : 'denied'} for **${name}**.`,
+			COMMAND_PERMISSIONS_RESET: (target, name) => `Successfully removed the override of **${target}** for **${name}**.`,
+			COMMAND_PERMISSIONS_NOT_FOUND: (target, name) => `There is no override of **${target}** for **${name}**.`,
+			COMMAND_PERMISSIONS_LIST_EMPTY: 'This server has no permission overrides.',
+			COMMAND_CHANNEL_INVALID: 'You can only manage the text channels of this server.',
+			COMMAND_CHANNEL_IGNORED: (channel, ignored) => `Commands are ${ignored ? 'now ignored' : 'no longer ignored'} in ${channel}.`,
+			COMMAND_CHANNEL_PREFIX: (channel, prefix) => prefix ? `The prefix of ${channel} is now \`${prefix}\`.` : `The prefix of ${channel} was reset to the prefix of this server.`,
+			COMMAND_CHANNEL_NO_PREFIX: (channel, noPrefix) => `Commands ${noPrefix ? 'can now be used without' : 'need'} a prefix in ${channel}.`,
+			COMMAND_CHANNEL_DISABLED: (target, channel) => `**${target}** is now disabled in ${channel}.`,
+			COMMAND_CHANNEL_ENABLED: (target, channel) => `**${target}** is no longer disabled in ${channel}.`,
+			COMMAND_CHANNEL_ALREADY_DISABLED: (target, channel) => `**${target}** is already disabled in ${channel}.`,
+			COMMAND_CHANNEL_NOT_DISABLED: (target, channel) => `**${target}** is not disabled in ${channel}.`,
+			COMMAND_TAG_EXISTS: (name) => `The name **${name}** is already used by a tag or a command.`,
+			COMMAND_TAG_ADDED: (name) => `Successfully added the tag **${name}**.`,
+			COMMAND_TAG_EDITED: (name) => `Successfully edited the tag **${name}**.`,
+			COMMAND_TAG_REMOVED: (name) => `Successfully removed the tag **${name}**.`,
+			COMMAND_TAG_NOT_FOUND: (name) => `This server has no tag named **${name}**.`,
+			COMMAND_TAG_LIST_EMPTY: 'This server has no tags.',
 			COMMAND_CONF_NOKEY: 'You must provide a key',
 			COMMAND_CONF_NOVALUE: 'You must provide a value',
 			COMMAND_CONF_ADDED: (value, key) => `Successfully added the value \`${value}\` to the key: **${key}**`,
@@ -96,7 +165,17 @@ module.exports = class extends Language {
 			COMMAND_CONF_REMOVE: (value, key) => `Successfully removed the value \`${value}\` from the key: **${key}**`,
 			COMMAND_CONF_GET_NOEXT: (key) => `The key **${key}** does not seem to exist.`,
 			COMMAND_CONF_GET: (key, value) => `The value for the key **${key}** is: \`${value}\``,
-			COMMAND_CONF_RESET: (key, response) => `The key **${key}** has been reset to: \`${response}\``
+			COMMAND_CONF_RESET: (key, response) => `The key **${key}** has been reset to: \`${response}\``,
+			COMMAND_ANALYTICS_EMPTY: 'No command has been used yet.',
+			COMMAND_ANALYTICS_TITLE: 'Command Analytics',
+			COMMAND_ANALYTICS_SUMMARY: (runs, errors, errorRate, inhibited, p50) => `${runs} runs, ${errors} errors (${errorRate}), ${inhibited} inhibited, p50 ${p50}`,
+			COMMAND_ANALYTICS_RUNS: 'Runs',
+			COMMAND_ANALYTICS_ERRORS: 'Errors',
+			COMMAND_ANALYTICS_INHIBITED: 'Inhibited',
+			COMMAND_ANALYTICS_LATENCY: 'Latency',
+			COMMAND_ANALYTICS_INHIBITIONS: 'Inhibitions',
+			COMMAND_ANALYTICS_NO_LATENCY: 'N/A',
+			COMMAND_ANALYTICS_RESET: (command) => command ? `The analytics of **${command}** have been reset.` : 'The analytics of all commands have been reset.'
 		};
 	}
 
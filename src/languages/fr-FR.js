@@ -35,8 +35,11 @@ module.exports = class extends Language {
 			COMMANDMESSAGE_MISSING_REQUIRED: (name) => `${name} est un argument requis.`,
 			COMMANDMESSAGE_MISSING_OPTIONALS: (possibles) => `Il manque une option requise : (${possibles})`,
 			COMMANDMESSAGE_NOMATCH: (possibles) => `Votre option ne correspond à aucune des possibilités : (${possibles})`,
-			// eslint-disable-next-line max-len
-			MONITOR_COMMAND_HANDLER_REPROMPT: (tag, error) => `${tag} | **${error}** | Vous avez **30** secondes pour répondre à ce message avec un argument valide. Tapez **"ABORT"** pour annuler ce message.`,
+			MONITOR_COMMAND_HANDLER_REPROMPT: (tag, error, time, abort, usage) => [
+				`${tag} | **${error}** | Vous avez **${time}** secondes pour répondre à ce message avec un argument valide.`,
+				`Tapez **"${abort.toUpperCase()}"** pour annuler ce message.${usage ? `\n\`${usage}\`` : ''}`
+			].join(' '),
+			MONITOR_COMMAND_HANDLER_ABORT_KEYWORD: 'abort',
 			MONITOR_COMMAND_HANDLER_ABORTED: 'Annulé',
 			INHIBITOR_COOLDOWN: (remaining) => `Vous venez d'utiliser cette commande. Vous pourrez à nouveau utiliser cette commande dans ${remaining} secondes.`,
 			INHIBITOR_DISABLED: 'Cette commande est actuellement désactivée',
@@ -7,14 +7,21 @@ const util = require('./util/util');
 const Stopwatch = require('./util/Stopwatch');
 const Console = require('./util/Console');
 const Settings = require('./settings/SettingsCache');
+const TagStore = require('./settings/TagStore');
+const CooldownManager = require('./settings/CooldownManager');
+const AnalyticsManager = require('./settings/AnalyticsManager');
+const ConcurrencyManager = require('./util/ConcurrencyManager');
+const REPL = require('./util/REPL');
 const CommandStore = require('./structures/CommandStore');
 const InhibitorStore = require('./structures/InhibitorStore');
 const FinalizerStore = require('./structures/FinalizerStore');
+const HookStore = require('./structures/HookStore');
 const MonitorStore = require('./structures/MonitorStore');
 const LanguageStore = require('./structures/LanguageStore');
 const ProviderStore = require('./structures/ProviderStore');
 const EventStore = require('./structures/EventStore');
 const ExtendableStore = require('./structures/ExtendableStore');
+const ArgumentStore = require('./structures/ArgumentStore');
 
 /**
  * The client for handling everything. See {@tutorial GettingStarted} for more information how to get started using this class.
@@ -27,9 +34,11 @@ class KlasaClient extends Discord.Client {
 	 * @typedef {Object} KlasaClientConfig
 	 * @memberof KlasaClient
 	 * @property {string} prefix The default prefix the bot should respond to
+	 * @property {boolean} [prefixCaseInsensitive=false] Whether prefixes should be matched regardless of case
 	 * @property {DiscordJSConfig} [clientOptions={}] The options to pass to D.JS
 	 * @property {PermissionLevels} [permissionLevels=KlasaClient.defaultPermissionLevels] The permission levels to use with this bot
 	 * @property {string} [clientBaseDir=path.dirname(require.main.filename)] The directory where all piece folders can be found
+	 * @property {string} [dataDir=path.join(clientBaseDir, 'bwd')] The directory where the schemas and the json provider store their data
 	 * @property {number} [commandMessageLifetime=1800] The threshold for how old command messages can be before sweeping since the last edit in seconds
 	 * @property {number} [commandMessageSweep=900] The interval duration for which command messages should be sweept in seconds
 	 * @property {object} [provider] The provider to use in Klasa
@@ -38,10 +47,19 @@ class KlasaClient extends Discord.Client {
 	 * @property {boolean} [ignoreBots=true] Whether or not this bot should ignore other bots
 	 * @property {boolean} [ignoreSelf=true] Whether or not this bot should ignore itself
 	 * @property {boolean} [cmdPrompt=false] Whether the bot should prompt missing parameters
+	 * @property {number} [cmdPromptTime=30000] The time in milliseconds the user has to respond to each prompt
+	 * @property {number} [cmdPromptLimit=Infinity] How many times the user can be prompted for the same parameter
 	 * @property {boolean} [cmdEditing=false] Whether the bot should update responses if the command is edited
+	 * @property {number} [commandTimeout=0] The time in milliseconds commands can run for before they time out, 0 being no limit (overridable per command)
+	 * @property {boolean} [commandSuggestions=false] Whether the bot should suggest similarly named commands when an unknown command is used
 	 * @property {boolean} [cmdLogging=false] Whether the bot should log command usage
 	 * @property {boolean} [typing=false] Whether the bot should type while processing commands.
 	 * @property {boolean} [quotedStringSupport=false] Whether the bot should default to using quoted string support in arg parsing, or not (overridable per command)
+	 * @property {KlasaArgumentSearchConfig} [argumentSearch={}] Config options for matching member, user, role and channel arguments by name
+	 * @property {KlasaCooldownConfig} [cooldowns={}] Config options for who bypasses command cooldowns and whether they are persisted
+	 * @property {KlasaAnalyticsConfig} [analytics={}] Config options for how many latencies the command analytics keep and whether they are persisted
+	 * @property {Object<string, CategoryOptions>} [categories={}] The descriptions, states and permission levels of the command categories, keyed by category name
+	 * @property {(boolean|REPLOptions)} [repl=false] Whether the commands typed in the terminal should be run as the owner, and the options for it
 	 * @property {?(string|Function)} [readyMessage=`Successfully initialized. Ready to serve ${this.guilds.size} guilds.`] readyMessage to be passed thru Klasa's ready event
 	 * @property {string} [ownerID] The discord user id for the user the bot should respect as the owner (gotten from Discord api if not provided)
 	 */
@@ -56,6 +74,30 @@ class KlasaClient extends Discord.Client {
 	 * @property {(boolean|string)} [timestamps=true] Whether to use timestamps or not, or the moment format of the timestamp you want to use
 	 */
 
+	/**
+	 * @typedef {Object} KlasaArgumentSearchConfig
+	 * @memberof KlasaClient
+	 * @property {string} [strategy='insensitive'] How names are matched, one of exact, insensitive (case-insensitive), prefix or fuzzy
+	 * @property {number} [threshold=0.6] The minimum score, from 0 to 1, a name needs to be matched by the fuzzy strategy
+	 * @property {boolean} [prompt=true] Whether the user should be prompted to pick one when several names match, instead of being told to be more specific
+	 */
+
+	/**
+	 * @typedef {Object} KlasaCooldownConfig
+	 * @memberof KlasaClient
+	 * @property {boolean} [ownerBypass=true] Whether the bot owner bypasses all cooldowns
+	 * @property {?number} [bypassLevel=null] The permission level from which cooldowns do not apply, unless a command sets its own
+	 * @property {boolean} [persist=false] Whether cooldowns should be saved through the provider, so restarting the bot does not reset them
+	 */
+
+	/**
+	 * @typedef {Object} KlasaAnalyticsConfig
+	 * @memberof KlasaClient
+	 * @property {number} [samples=1000] How many of the latest latencies are kept for each command to compute percentiles
+	 * @property {boolean} [persist=false] Whether analytics should be saved through the provider, so restarting the bot does not reset them
+	 * @property {number} [saveInterval=60000] How often, in milliseconds, the analytics which changed are saved when persisted
+	 */
+
 	/**
 	 * @typedef {Object} KlasaConsoleEvents
 	 * @memberof KlasaClient
@@ -85,6 +127,10 @@ class KlasaClient extends Discord.Client {
 		this.config.provider = config.provider || {};
 		this.config.console = config.console || {};
 		this.config.consoleEvents = config.consoleEvents || {};
+		this.config.argumentSearch = config.argumentSearch || {};
+		this.config.cooldowns = config.cooldowns || {};
+		this.config.analytics = config.analytics || {};
+		this.config.categories = config.categories || {};
 		this.config.language = config.language || 'en-US';
 
 		/**
@@ -101,6 +147,13 @@ class KlasaClient extends Discord.Client {
 		 */
 		this.clientBaseDir = config.clientBaseDir ? path.resolve(config.clientBaseDir) : path.dirname(require.main.filename);
 
+		/**
+		 * The directory where the schemas and the json provider store their data
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.dataDir = config.dataDir ? path.resolve(config.dataDir) : path.join(this.clientBaseDir, 'bwd');
+
 		/**
 		 * The console for this instance of klasa. You can disable timestmaps, colors, and add writable streams as config options to configure this.
 		 * @since 0.4.0
@@ -114,13 +167,6 @@ class KlasaClient extends Discord.Client {
 			timestamps: this.config.console.timestamps
 		});
 
-		/**
-		 * The argument resolver
-		 * @since 0.0.1
-		 * @type {ArgResolver}
-		 */
-		this.argResolver = new ArgResolver(this);
-
 		/**
 		 * The cache where commands are stored
 		 * @since 0.0.1
@@ -142,6 +188,13 @@ class KlasaClient extends Discord.Client {
 		 */
 		this.finalizers = new FinalizerStore(this);
 
+		/**
+		 * The cache where hooks are stored
+		 * @since 0.4.0
+		 * @type {HookStore}
+		 */
+		this.hooks = new HookStore(this);
+
 		/**
 		 * The cache where monitors are stored
 		 * @since 0.0.1
@@ -177,6 +230,49 @@ class KlasaClient extends Discord.Client {
 		 */
 		this.extendables = new ExtendableStore(this);
 
+		/**
+		 * The cache where arguments are stored
+		 * @since 0.4.0
+		 * @type {ArgumentStore}
+		 */
+		this.arguments = new ArgumentStore(this);
+
+		/**
+		 * The argument resolver, delegating to the argument pieces
+		 * @since 0.0.1
+		 * @type {ArgResolver}
+		 * @deprecated Use {@link KlasaClient#arguments} instead
+		 */
+		this.argResolver = new ArgResolver(this);
+
+		/**
+		 * The per-guild text commands set with the tag command
+		 * @since 0.4.0
+		 * @type {TagStore}
+		 */
+		this.tags = new TagStore(this);
+
+		/**
+		 * The cooldowns of the commands, shared by the buckets set by their cooldown scope
+		 * @since 0.4.0
+		 * @type {CooldownManager}
+		 */
+		this.cooldowns = new CooldownManager(this);
+
+		/**
+		 * How many times each command is running at once, limited by their concurrency option
+		 * @since 0.4.0
+		 * @type {ConcurrencyManager}
+		 */
+		this.concurrency = new ConcurrencyManager(this);
+
+		/**
+		 * How each command is used, errors, is inhibited and how long it takes
+		 * @since 0.4.0
+		 * @type {AnalyticsManager}
+		 */
+		this.analytics = new AnalyticsManager(this);
+
 		/**
 		 * A Store registry
 		 * @since 0.3.0
@@ -191,6 +287,13 @@ class KlasaClient extends Discord.Client {
 		 */
 		this.commandMessages = new Discord.Collection();
 
+		/**
+		 * The cancellation signals of the commands which are running, keyed by the id of the message which triggered them
+		 * @since 0.4.0
+		 * @type {external:Collection<string, CommandSignal>}
+		 */
+		this.commandSignals = new Discord.Collection();
+
 		/**
 		 * The permissions structure for this bot
 		 * @since 0.0.1
@@ -257,15 +360,24 @@ class KlasaClient extends Discord.Client {
 		 */
 		this.application = null;
 
+		/**
+		 * The REPL running the commands typed in the terminal, if enabled in the config
+		 * @since 0.4.0
+		 * @type {?REPL}
+		 */
+		this.repl = null;
+
 		this.registerStore(this.commands)
 			.registerStore(this.inhibitors)
 			.registerStore(this.finalizers)
+			.registerStore(this.hooks)
 			.registerStore(this.monitors)
 			.registerStore(this.languages)
 			.registerStore(this.providers)
 			.registerStore(this.events)
-			.registerStore(this.extendables);
-		// Core pieces already have argresolver entries for the purposes of documentation.
+			.registerStore(this.extendables)
+			.registerStore(this.arguments);
+		// Core pieces already have argument pieces for the purposes of documentation.
 
 		this.once('ready', this._ready.bind(this));
 	}
@@ -318,20 +430,14 @@ class KlasaClient extends Discord.Client {
 	}
 
 	/**
-	 * Registers a custom piece to the client
+	 * Registers a custom piece to the client, so it can be used as a type in usage strings
 	 * @since 0.3.0
-	 * @param {string} pieceName The name of the piece, if you want to register an arg resolver for this piece
+	 * @param {string} pieceName The name of the piece, to be used as a usage type resolved by the piece argument
 	 * @param {Store} store The store that pieces will be stored in.
 	 * @returns {KlasaClient} this client
 	 */
 	registerPiece(pieceName, store) {
-		// eslint-disable-next-line func-names
-		ArgResolver.prototype[pieceName] = async function (arg, currentUsage, possible, repeat, msg) {
-			const piece = store.get(arg);
-			if (piece) return piece;
-			if (currentUsage.type === 'optional' && !repeat) return null;
-			throw msg.language.get('RESOLVER_INVALID_PIECE', currentUsage.possibles[possible].name, pieceName);
-		};
+		this.arguments.pieceTypes.set(pieceName, store);
 		return this;
 	}
 
@@ -342,7 +448,7 @@ class KlasaClient extends Discord.Client {
 	 * @returns {KlasaClient} this client
 	 */
 	unregisterPiece(pieceName) {
-		delete ArgResolver.prototype[pieceName];
+		this.arguments.pieceTypes.delete(pieceName);
 		return this;
 	}
 
@@ -362,9 +468,19 @@ class KlasaClient extends Discord.Client {
 		this.emit('log', loaded.join('\n'));
 		this.settings = new Settings(this);
 		this.emit('log', `Loaded in ${timer.stop()}.`);
+		this.startREPL();
 		return super.login(token);
 	}
 
+	/**
+	 * Starts the REPL if it is enabled in the config, before connecting, so it does not depend on the login succeeding
+	 * @since 0.4.0
+	 * @private
+	 */
+	startREPL() {
+		if (this.config.repl && !this.repl) this.repl = new REPL(this, this.config.repl === true ? {} : this.config.repl).start();
+	}
+
 	/**
 	 * The owner for this bot
 	 * @since 0.1.1
@@ -383,12 +499,17 @@ class KlasaClient extends Discord.Client {
 	async _ready() {
 		if (this.config.ignoreBots === undefined) this.config.ignoreBots = true;
 		if (this.config.ignoreSelf === undefined) this.config.ignoreSelf = this.user.bot;
-		if (this.user.bot) this.application = await super.fetchApplication();
+		if (this.user.bot) this.application = await this.fetchApplication();
 		if (!this.config.ownerID) this.config.ownerID = this.user.bot ? this.application.owner.id : this.user.id;
 		await this.providers.init();
 		await this.settings.guilds.init();
+		await this.settings.tags.init();
+		await this.settings.permissions.init();
+		await this.settings.channels.init();
 		// Providers must be init before settings, and those before all other stores.
 		await Promise.all(this.pieceStores.filter(store => store.name !== 'providers').map(store => store.init()));
+		await this.cooldowns.init();
+		await this.analytics.init();
 		util.initClean(this);
 		this.setInterval(this.sweepCommandMessages.bind(this), this.commandMessageSweep * 1000);
 		this.ready = true;
@@ -472,6 +593,7 @@ KlasaClient.defaultPermissionLevels = new PermLevels()
  * @param {external:Message} message The message that triggered the command
  * @param {Command} command The command triggered
  * @param {?string} response The reason why it was inhibited if not silent
+ * @param {string[]} inhibitors The names of the inhibitors which inhibited the command, empty if a before hook vetoed it
  */
 
 /**
@@ -1,5 +1,6 @@
 const url = require('url');
 const { Message, User, GuildMember, Role, Guild, Channel } = require('discord.js');
+const { parseDuration } = require('../util/util');
 
 /**
  * The base resolver class
@@ -152,6 +153,31 @@ class Resolver {
 		return null;
 	}
 
+	/**
+	 * Resolve a duration, such as `1h30m` or `2 days`, into milliseconds.
+	 * @since 0.4.0
+	 * @param {(string|number)} duration The duration to validate.
+	 * @returns {?number}
+	 */
+	async duration(duration) {
+		return parseDuration(duration);
+	}
+
+	/**
+	 * Resolve a Date, from a timestamp, a date string or a duration from now.
+	 * @since 0.4.0
+	 * @param {(Date|string|number)} date The date to validate.
+	 * @returns {?Date}
+	 */
+	async date(date) {
+		if (date instanceof Date) return isNaN(date.getTime()) ? null : date;
+		if (typeof date === 'number' || /^\d+$/.test(date)) return new Date(Number(date));
+		const duration = parseDuration(date);
+		if (duration !== null) return new Date(Date.now() + duration);
+		const timestamp = Date.parse(date);
+		return isNaN(timestamp) ? null : new Date(timestamp);
+	}
+
 	/**
 	 * Resolve a hyperlink.
 	 * @since 0.0.1
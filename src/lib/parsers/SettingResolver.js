@@ -157,6 +157,45 @@ class SettingResolver extends Resolver {
 		return null;
 	}
 
+	/**
+	 * Resolves a duration, in milliseconds
+	 * @since 0.4.0
+	 * @param {any} data The data to resolve
+	 * @param {external:Guild} guild The guild to resolve for
+	 * @param {string} name The name of the key being resolved
+	 * @param {Object} minMax The minimum and maximum
+	 * @param {?number} minMax.min The minimum value
+	 * @param {?number} minMax.max The maximum value
+	 * @returns {number}
+	 */
+	async duration(data, guild, name, { min, max } = {}) {
+		const result = await super.duration(data);
+		if (result === null) throw guild.language.get('RESOLVER_INVALID_DURATION', name);
+		if (SettingResolver.maxOrMin(guild, result, min, max, name)) return result;
+		return null;
+	}
+
+	/**
+	 * Resolves a date, as a timestamp
+	 * @since 0.4.0
+	 * @param {any} data The data to resolve
+	 * @param {external:Guild} guild The guild to resolve for
+	 * @param {string} name The name of the key being resolved
+	 * @param {Object} minMax The minimum and maximum
+	 * @param {?number} minMax.min The minimum duration from now, in milliseconds
+	 * @param {?number} minMax.max The maximum duration from now, in milliseconds
+	 * @returns {number}
+	 */
+	async date(data, guild, name, { min, max } = {}) {
+		const result = await super.date(data);
+		if (!result) throw guild.language.get('RESOLVER_INVALID_DATE', name);
+		// The limits of dates are durations relative to the time the setting is resolved, as in usage strings
+		const now = Date.now();
+		if (typeof min === 'number' && result.getTime() < now + min) throw guild.language.get('RESOLVER_DATE_AFTER', name, new Date(now + min).toUTCString());
+		if (typeof max === 'number' && result.getTime() > now + max) throw guild.language.get('RESOLVER_DATE_BEFORE', name, new Date(now + max).toUTCString());
+		return result.getTime();
+	}
+
 	/**
 	 * Resolves a hyperlink
 	 * @since 0.0.1
@@ -185,6 +224,20 @@ class SettingResolver extends Resolver {
 		return command.name;
 	}
 
+	/**
+	 * Resolves a command category
+	 * @since 0.4.0
+	 * @param {any} data The data to resolve
+	 * @param {external:Guild} guild The guild to resolve for
+	 * @param {string} name The name of the key being resolved
+	 * @returns {string}
+	 */
+	async category(data, guild, name) {
+		const category = this.client.commands.resolveCategory(String(data));
+		if (!category) throw guild.language.get('RESOLVER_INVALID_PIECE', name, 'category');
+		return category;
+	}
+
 	/**
 	 * Resolves a language
 	 * @since 0.2.1
@@ -212,14 +265,16 @@ class SettingResolver extends Resolver {
 	 * @returns {boolean}
 	 */
 	static maxOrMin(guild, value, min, max, name, suffix = '') {
-		if (min && max) {
+		const hasMin = typeof min === 'number';
+		const hasMax = typeof max === 'number';
+		if (hasMin && hasMax) {
 			if (value >= min && value <= max) return true;
 			if (min === max) throw guild.language.get('RESOLVER_MINMAX_EXACTLY', name, min, suffix);
 			throw guild.language.get('RESOLVER_MINMAX_BOTH', name, min, max, suffix);
-		} else if (min) {
+		} else if (hasMin) {
 			if (value >= min) return true;
 			throw guild.language.get('RESOLVER_MINMAX_MIN', name, min, suffix);
-		} else if (max) {
+		} else if (hasMax) {
 			if (value <= max) return true;
 			throw guild.language.get('RESOLVER_MINMAX_MAX', name, max, suffix);
 		}
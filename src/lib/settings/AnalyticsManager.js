@@ -0,0 +1,251 @@
+/**
+ * Aggregates how each command is used: how many times it ran, failed or was inhibited and why, and how long it took
+ * to start running, and optionally persists them through the provider so they survive restarts
+ */
+class AnalyticsManager {
+
+	/**
+	 * @typedef {Object} CommandAnalytics
+	 * @memberof AnalyticsManager
+	 * @property {number} runs How many times the command ran successfully
+	 * @property {number} errors How many times the command errored
+	 * @property {number} inhibited How many times the command was inhibited
+	 * @property {Object<string, number>} reasons How many times the command was inhibited by each inhibitor, keyed by inhibitor name
+	 * @property {number[]} latencies The latest durations, in milliseconds, from the command being handled to it running
+	 */
+
+	/**
+	 * @typedef {Object} CommandStatistics
+	 * @memberof AnalyticsManager
+	 * @property {string} name The name of the command
+	 * @property {number} uses How many times the command was used, whether it ran, errored or was inhibited
+	 * @property {number} runs How many times the command ran successfully
+	 * @property {number} errors How many times the command errored
+	 * @property {number} errorRate The share of the runs which errored, from 0 to 1
+	 * @property {number} inhibited How many times the command was inhibited
+	 * @property {Array<Array<string|number>>} reasons The inhibitors and how many times they inhibited the command, most frequent first
+	 * @property {?number} p50 The median latency in milliseconds, or null if the command never ran
+	 * @property {?number} p90 The 90th percentile latency in milliseconds, or null if the command never ran
+	 * @property {?number} p99 The 99th percentile latency in milliseconds, or null if the command never ran
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa client
+	 */
+	constructor(client) {
+		/**
+		 * The client this AnalyticsManager was created with.
+		 * @since 0.4.0
+		 * @name AnalyticsManager#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * The name of the provider table the analytics are persisted in
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.table = 'analytics';
+
+		/**
+		 * The analytics of each command, keyed by command name
+		 * @since 0.4.0
+		 * @type {Map<string, CommandAnalytics>}
+		 */
+		this.commands = new Map();
+
+		/**
+		 * The names of the commands which have a document in the provider
+		 * @since 0.4.0
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this.persisted = new Set();
+
+		/**
+		 * The names of the commands whose analytics changed since they were last saved
+		 * @since 0.4.0
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this.unsaved = new Set();
+	}
+
+	/**
+	 * The provider the analytics are persisted with
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {Provider}
+	 */
+	get provider() {
+		return this.client.providers.get(this.client.config.provider.engine || 'json');
+	}
+
+	/**
+	 * Loads the persisted analytics, and starts saving them periodically
+	 * @since 0.4.0
+	 * @returns {void}
+	 */
+	async init() {
+		const { persist = false, saveInterval = 60000 } = this.client.config.analytics;
+		if (!persist) return;
+		if (!await this.provider.hasTable(this.table)) {
+			await this.provider.createTable(this.table, this.provider.sql ?
+				['id TEXT NOT NULL UNIQUE', 'runs INTEGER', 'errors INTEGER', 'inhibited INTEGER', 'reasons TEXT', 'latencies TEXT'] :
+				undefined);
+		}
+		for (const entry of await this.provider.getAll(this.table)) {
+			this.commands.set(entry.id, {
+				runs: Number(entry.runs),
+				errors: Number(entry.errors),
+				inhibited: Number(entry.inhibited),
+				reasons: JSON.parse(entry.reasons),
+				latencies: JSON.parse(entry.latencies)
+			});
+			this.persisted.add(entry.id);
+		}
+		this.client.setInterval(() => this.save().catch(err => this.client.emit('error', err)), saveInterval);
+	}
+
+	/**
+	 * Counts a successful run of a command
+	 * @since 0.4.0
+	 * @param {Command} command The command which ran
+	 * @param {Stopwatch} timer The stopwatch timing the command from when it was run until it finished, as passed to the finalizers
+	 * @returns {void}
+	 */
+	run(command, timer) {
+		const { samples = 1000 } = this.client.config.analytics;
+		const analytics = this.get(command.name);
+		analytics.runs++;
+		analytics.latencies.push(timer.duration);
+		if (analytics.latencies.length > samples) analytics.latencies.splice(0, analytics.latencies.length - samples);
+		this.unsaved.add(command.name);
+	}
+
+	/**
+	 * Counts an error thrown by a command while running, the args it failed to resolve not being counted
+	 * @since 0.4.0
+	 * @param {Command} command The command which errored
+	 * @returns {void}
+	 */
+	error(command) {
+		this.get(command.name).errors++;
+		this.unsaved.add(command.name);
+	}
+
+	/**
+	 * Counts an inhibition of a command, along with the inhibitors which inhibited it. The reasons are keyed by inhibitor
+	 * name rather than by response, as responses vary with the language and their arguments
+	 * @since 0.4.0
+	 * @param {Command} command The command which was inhibited
+	 * @param {string[]} [inhibitors=[]] The names of the inhibitors which inhibited the command, none if a before hook vetoed it
+	 * @returns {void}
+	 */
+	inhibit(command, inhibitors = []) {
+		const analytics = this.get(command.name);
+		analytics.inhibited++;
+		for (const reason of inhibitors.length ? inhibitors : ['before hooks']) analytics.reasons[reason] = (analytics.reasons[reason] || 0) + 1;
+		this.unsaved.add(command.name);
+	}
+
+	/**
+	 * Computes the statistics of a command from its analytics, without creating analytics for a command which has none
+	 * @since 0.4.0
+	 * @param {string} name The name of the command
+	 * @returns {CommandStatistics}
+	 */
+	stats(name) {
+		const { runs, errors, inhibited, reasons, latencies } = this.commands.get(name) || this.constructor.empty();
+		const sorted = latencies.slice().sort((a, b) => a - b);
+		return {
+			name,
+			uses: runs + errors + inhibited,
+			runs,
+			errors,
+			errorRate: runs + errors ? errors / (runs + errors) : 0,
+			inhibited,
+			reasons: Object.entries(reasons).sort((a, b) => b[1] - a[1]),
+			p50: this.constructor.percentile(sorted, 50),
+			p90: this.constructor.percentile(sorted, 90),
+			p99: this.constructor.percentile(sorted, 99)
+		};
+	}
+
+	/**
+	 * Resets the analytics of a command, or of all commands
+	 * @since 0.4.0
+	 * @param {string} [name] The name of the command to reset, all commands being reset if none is given
+	 * @returns {void}
+	 */
+	async reset(name) {
+		const names = name ? [name] : [...this.commands.keys()];
+		for (const key of names) {
+			this.commands.delete(key);
+			this.unsaved.delete(key);
+			if (this.persisted.delete(key)) await this.provider.delete(this.table, key);
+		}
+	}
+
+	/**
+	 * Persists the analytics which changed since they were last saved, if persisting is enabled
+	 * @since 0.4.0
+	 * @returns {void}
+	 */
+	async save() {
+		if (!this.client.config.analytics.persist) return;
+		for (const name of [...this.unsaved]) {
+			this.unsaved.delete(name);
+			// The analytics of the command may have been reset while the previous ones were saved
+			const analytics = this.commands.get(name);
+			if (!analytics) continue;
+			const { runs, errors, inhibited, reasons, latencies } = analytics;
+			const data = { runs, errors, inhibited, reasons: JSON.stringify(reasons), latencies: JSON.stringify(latencies) };
+			if (this.persisted.has(name)) {
+				await this.provider.update(this.table, name, data);
+				continue;
+			}
+			await this.provider.create(this.table, name, data);
+			this.persisted.add(name);
+		}
+	}
+
+	/**
+	 * Returns the analytics of a command, creating them if it has none yet
+	 * @since 0.4.0
+	 * @param {string} name The name of the command
+	 * @returns {CommandAnalytics}
+	 * @private
+	 */
+	get(name) {
+		if (!this.commands.has(name)) this.commands.set(name, this.constructor.empty());
+		return this.commands.get(name);
+	}
+
+	/**
+	 * Returns the analytics of a command which was never used
+	 * @since 0.4.0
+	 * @returns {CommandAnalytics}
+	 */
+	static empty() {
+		return { runs: 0, errors: 0, inhibited: 0, reasons: {}, latencies: [] };
+	}
+
+	/**
+	 * Returns the value under which a percentage of sorted values fall, using the nearest rank
+	 * @since 0.4.0
+	 * @param {number[]} sorted The values, sorted in ascending order
+	 * @param {number} percentage The percentage, from 0 to 100
+	 * @returns {?number}
+	 */
+	static percentile(sorted, percentage) {
+		if (!sorted.length) return null;
+		return sorted[Math.max(0, Math.ceil((percentage / 100) * sorted.length) - 1)];
+	}
+
+}
+
+module.exports = AnalyticsManager;
@@ -0,0 +1,238 @@
+const { getBucket } = require('../util/util');
+
+/**
+ * Tracks the cooldowns of commands in buckets shared by a user, member, channel, guild or everyone, and optionally
+ * persists them through the provider so they survive restarts
+ */
+class CooldownManager {
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa client
+	 */
+	constructor(client) {
+		/**
+		 * The client this CooldownManager was created with.
+		 * @since 0.4.0
+		 * @name CooldownManager#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * The name of the provider table the cooldowns are persisted in
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.table = 'cooldowns';
+
+		/**
+		 * The times the commands were used, keyed by cooldown id (the command name and the bucket), kept here rather than
+		 * in the commands so they survive the commands being reloaded
+		 * @since 0.4.0
+		 * @type {Map<string, number[]>}
+		 * @private
+		 */
+		this.uses = new Map();
+
+		/**
+		 * The ids of the cooldowns which have a document in the provider
+		 * @since 0.4.0
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this.persisted = new Set();
+
+		/**
+		 * The last pending write of each cooldown, so the writes of a cooldown are made one after another and a use does
+		 * not create a document another one is already creating
+		 * @since 0.4.0
+		 * @type {Map<string, Promise<void>>}
+		 * @private
+		 */
+		this.writes = new Map();
+	}
+
+	/**
+	 * The provider the cooldowns are persisted with
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {Provider}
+	 */
+	get provider() {
+		return this.client.providers.get(this.client.config.provider.engine || 'json');
+	}
+
+	/**
+	 * Loads the persisted cooldowns, deleting the ones which expired while the bot was offline or cannot be read
+	 * @since 0.4.0
+	 * @returns {void}
+	 */
+	async init() {
+		if (!this.client.config.cooldowns.persist) return;
+		if (!await this.provider.hasTable(this.table)) {
+			await this.provider.createTable(this.table, this.provider.sql ? ['id TEXT NOT NULL UNIQUE', 'command TEXT', 'bucket TEXT', 'uses TEXT'] : undefined);
+		}
+		const now = Date.now();
+		for (const entry of await this.provider.getAll(this.table)) {
+			const command = this.client.commands.get(entry.command);
+			const uses = command ? this.constructor.parseUses(entry.uses).filter(time => time + (command.cooldown * 1000) > now) : [];
+			if (uses.length) {
+				this.uses.set(entry.id, uses);
+				this.persisted.add(entry.id);
+				this.client.setTimeout(() => this.prune(command, entry.bucket), uses[uses.length - 1] + (command.cooldown * 1000) - now);
+			} else {
+				await this.provider.delete(this.table, entry.id);
+			}
+		}
+	}
+
+	/**
+	 * Checks whether the author of a message does not have to wait for the cooldown of a command
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command is run with
+	 * @param {Command} command The command to check
+	 * @returns {Promise<boolean>}
+	 */
+	async bypasses(msg, command) {
+		const { ownerBypass = true, bypassLevel = null } = this.client.config.cooldowns;
+		if (ownerBypass && msg.author.id === this.client.config.ownerID) return true;
+		const level = command.cooldownBypass === null ? bypassLevel : command.cooldownBypass;
+		return level !== null && await msg.hasAtLeastPermissionLevel(level);
+	}
+
+	/**
+	 * Returns how long the author of a message has to wait before using a command again
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command is run with
+	 * @param {Command} command The command to check
+	 * @returns {number} The remaining time in milliseconds, or 0 if the command can be used
+	 */
+	remaining(msg, command) {
+		const uses = this.getUses(command, CooldownManager.getBucket(msg, command));
+		if (uses.length < command.cooldownUses) return 0;
+		return uses[uses.length - command.cooldownUses] + (command.cooldown * 1000) - Date.now();
+	}
+
+	/**
+	 * Counts a use of a command against the cooldown bucket of a message
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command was run with
+	 * @param {Command} command The command which was used
+	 * @returns {void}
+	 */
+	async use(msg, command) {
+		const bucket = CooldownManager.getBucket(msg, command);
+		const uses = this.getUses(command, bucket);
+		uses.push(Date.now());
+		this.uses.set(`${command.name}-${bucket}`, uses);
+		this.client.setTimeout(() => this.prune(command, bucket), command.cooldown * 1000);
+		if (this.client.config.cooldowns.persist) await this.save(command, bucket, uses);
+	}
+
+	/**
+	 * Returns the uses of a cooldown bucket which have not expired yet
+	 * @since 0.4.0
+	 * @param {Command} command The command the cooldown is for
+	 * @param {string} bucket The cooldown bucket
+	 * @returns {number[]}
+	 * @private
+	 */
+	getUses(command, bucket) {
+		const now = Date.now();
+		return (this.uses.get(`${command.name}-${bucket}`) || []).filter(time => time + (command.cooldown * 1000) > now);
+	}
+
+	/**
+	 * Removes the expired uses of a cooldown bucket, deleting the bucket once none are left
+	 * @since 0.4.0
+	 * @param {Command} command The command the cooldown is for
+	 * @param {string} bucket The cooldown bucket
+	 * @returns {void}
+	 * @private
+	 */
+	prune(command, bucket) {
+		const id = `${command.name}-${bucket}`;
+		const uses = this.getUses(command, bucket);
+		if (uses.length) {
+			this.uses.set(id, uses);
+			return;
+		}
+		this.uses.delete(id);
+		if (!this.persisted.has(id) && !this.writes.has(id)) return;
+		this.write(id, async () => {
+			if (this.persisted.delete(id)) await this.provider.delete(this.table, id);
+		}).catch(err => this.client.emit('error', err));
+	}
+
+	/**
+	 * Persists the uses of a cooldown bucket through the provider
+	 * @since 0.4.0
+	 * @param {Command} command The command the cooldown is for
+	 * @param {string} bucket The cooldown bucket
+	 * @param {number[]} uses The times the command was used
+	 * @returns {void}
+	 * @private
+	 */
+	save(command, bucket, uses) {
+		const id = `${command.name}-${bucket}`;
+		const data = { command: command.name, bucket, uses: JSON.stringify(uses) };
+		return this.write(id, async () => {
+			if (this.persisted.has(id)) {
+				await this.provider.update(this.table, id, data);
+				return;
+			}
+			await this.provider.create(this.table, id, data);
+			this.persisted.add(id);
+		});
+	}
+
+	/**
+	 * Queues a write to the document of a cooldown after the pending ones, whether they succeeded or not
+	 * @since 0.4.0
+	 * @param {string} id The id of the cooldown
+	 * @param {Function} task The function making the write
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	write(id, task) {
+		const pending = this.writes.get(id) || Promise.resolve();
+		const written = pending.then(task, task);
+		this.writes.set(id, written);
+		const settle = () => { if (this.writes.get(id) === written) this.writes.delete(id); };
+		written.then(settle, settle);
+		return written;
+	}
+
+	/**
+	 * Parses the persisted uses of a cooldown
+	 * @since 0.4.0
+	 * @param {string} uses The JSON string the uses are stored as
+	 * @returns {number[]} The uses, or none if they cannot be read
+	 * @private
+	 */
+	static parseUses(uses) {
+		let parsed;
+		try {
+			parsed = JSON.parse(uses);
+		} catch (err) {
+			return [];
+		}
+		return Array.isArray(parsed) ? parsed.filter(time => typeof time === 'number') : [];
+	}
+
+	/**
+	 * Returns the id of the cooldown bucket a message falls in for a command, based on the cooldown scope of the command
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command is run with
+	 * @param {Command} command The command to get the bucket for
+	 * @returns {string}
+	 */
+	static getBucket(msg, command) {
+		return getBucket(msg, command.cooldownScope);
+	}
+
+}
+
+module.exports = CooldownManager;
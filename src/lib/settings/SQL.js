@@ -3,6 +3,8 @@ const DefaultDataTypes = {
 	String: 'TEXT',
 	Integer: 'INTEGER',
 	Float: 'INTEGER',
+	Duration: 'INTEGER',
+	Date: 'INTEGER',
 	AutoID: 'INTEGER PRIMARY KEY AUTOINCREMENT UNIQUE',
 	Timestamp: 'DATETIME',
 	AutoTS: 'DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL'
@@ -2,7 +2,7 @@ const { resolve } = require('path');
 const fs = require('fs-nextra');
 const CacheManager = require('./CacheManager');
 
-const validTypes = ['User', 'Channel', 'TextChannel', 'VoiceChannel', 'Guild', 'Role', 'Boolean', 'String', 'Integer', 'Float', 'url', 'Command'];
+const validTypes = ['User', 'Channel', 'TextChannel', 'VoiceChannel', 'Guild', 'Role', 'Boolean', 'String', 'Integer', 'Float', 'Duration', 'Date', 'url', 'Command', 'Category'];
 
 /**
  * The Schema driver for SettingGateway
@@ -32,9 +32,8 @@ class SchemaManager extends CacheManager {
 	 * @returns {void}
 	 */
 	async initSchema() {
-		const baseDir = resolve(this.client.clientBaseDir, 'bwd');
-		await fs.ensureDir(baseDir);
-		this.filePath = resolve(baseDir, `${this.type}_Schema.json`);
+		await fs.ensureDir(this.client.dataDir);
+		this.filePath = resolve(this.client.dataDir, `${this.type}_Schema.json`);
 		const schema = await fs.readJSON(this.filePath)
 			.catch(() => fs.outputJSONAtomic(this.filePath, this.defaultDataSchema).then(() => this.defaultDataSchema));
 		return this.validateSchema(schema);
@@ -64,8 +63,8 @@ class SchemaManager extends CacheManager {
 	 * @typedef {Object} AddOptions
 	 * @property {string} type The type for the key.
 	 * @property {any} default The default value for the key.
-	 * @property {number} min The min value for the key (String.length for String, value for number).
-	 * @property {number} max The max value for the key (String.length for String, value for number).
+	 * @property {number} min The min value for the key (String.length for String, value for number, milliseconds for Duration, milliseconds from now for Date).
+	 * @property {number} max The max value for the key (String.length for String, value for number, milliseconds for Duration, milliseconds from now for Date).
 	 * @property {boolean} array Whether the key should be stored as Array or not.
 	 * @memberof SchemaManager
 	 */
@@ -79,6 +79,9 @@ class SettingGateway extends SchemaManager {
 			for (let i = 0; i < data.length; i++) this.sql.deserializer(data[i]);
 		}
 		if (data[0]) for (const key of data) super.set(key.id, key);
+		for (const [key, options] of Object.entries(this.defaultDataSchema)) {
+			if (!(key in this.schema)) await this.add(key, Object.assign({}, options));
+		}
 	}
 
 	/**
@@ -88,8 +91,18 @@ class SettingGateway extends SchemaManager {
 	 */
 	async create(input) {
 		const target = await this.validate(input).then(output => output.id || output);
-		await this.provider.create(this.type, target, this.defaults);
-		super.set(target, this.defaults);
+		await this.provider.create(this.type, target, this.cloneDefaults());
+		super.set(target, Object.assign(this.cloneDefaults(), { id: target }));
+	}
+
+	/**
+	 * Copy the defaults, with new arrays, so that the entries created from them never share, nor change, the defaults.
+	 * @returns {Object}
+	 */
+	cloneDefaults() {
+		const clone = {};
+		for (const [key, value] of Object.entries(this.defaults)) clone[key] = Array.isArray(value) ? value.slice() : value;
+		return clone;
 	}
 
 	/**
@@ -215,35 +228,31 @@ class SettingGateway extends SchemaManager {
 	 * @param {('add'|'remove')} action Either 'add' or 'remove'.
 	 * @param {string} key The key from the Schema.
 	 * @param {any} data The value to be added or removed.
+	 * @param {(Object|string)} [guild=null] A Guild resolvable, useful for when the instance of SG doesn't aim for Guild settings.
 	 * @returns {boolean}
 	 */
-	async updateArray(input, action, key, data) {
+	async updateArray(input, action, key, data, guild = null) {
 		if (!['add', 'remove'].includes(action)) throw 'The type parameter must be either add or remove.';
 		if (!(key in this.schema)) throw `The key ${key} does not exist in the current data schema.`;
 		if (!this.schema[key].array) throw `The key ${key} is not an Array.`;
 		if (data === undefined) throw 'You must specify the value to add or filter.';
 		const target = await this.validate(input).then(output => output.id || output);
 		const { min, max, type } = this.schema[key];
-		let result = await this.resolver[type.toLowerCase()](data, this.client.guilds.get(target), key, { min, max });
+		guild = await this._resolveGuild(guild || target);
+		let result = await this.resolver[type.toLowerCase()](data, guild, key, { min, max });
 		if (result.id) result = result.id;
 		let cache = this.get(target);
 		if (cache instanceof Promise) cache = await cache;
-		if (action === 'add') {
-			if (cache[key].includes(result)) throw `The value ${data} for the key ${key} already exists.`;
-			cache[key].push(result);
-			await this.provider.update(this.type, target, { [key]: cache[key] });
-			await this.sync(target);
-			return result;
-		}
-		if (!cache[key].includes(result)) throw `The value ${data} for the key ${key} does not exist.`;
-		cache[key] = cache[key].filter(ent => ent !== result);
+		if (action === 'add' && cache[key].includes(result)) throw `The value ${data} for the key ${key} already exists.`;
+		if (action === 'remove' && !cache[key].includes(result)) throw `The value ${data} for the key ${key} does not exist.`;
+		// The cached array may be the one of the defaults, so it is copied instead of being changed
+		const values = action === 'add' ? [...cache[key], result] : cache[key].filter(ent => ent !== result);
 
 		await this.ensureCreate(target);
-		const clone = Object.assign({}, this.get(target));
-		this.client.emit('settingUpdate', this, target, { [key]: clone[key] }, { [key]: cache[key] });
-		await this.provider.update(this.type, target, { [key]: cache[key] });
+		this.client.emit('settingUpdate', this, target, { [key]: cache[key] }, { [key]: values });
+		await this.provider.update(this.type, target, { [key]: values });
 		await this.sync(target);
-		return true;
+		return action === 'add' ? result : true;
 	}
 
 	_resolveGuild(guild) {
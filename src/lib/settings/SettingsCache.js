@@ -28,6 +28,25 @@ class SettingsCache {
 		 * @type {SettingGateway}
 		 */
 		this.guilds = new SettingGateway(this, 'guilds', this.validate.bind(null, this.resolver), this.defaultDataSchema);
+
+		/**
+		 * The SettingGateway instance created to handle the tags of each guild.
+		 * @type {SettingGateway}
+		 */
+		this.tags = new SettingGateway(this, 'tags', this.validate.bind(null, this.resolver), this.tagDataSchema);
+
+		/**
+		 * The SettingGateway instance created to handle the command permission overrides of each guild, kept apart from the
+		 * guild settings so they can only be changed with the permissions command.
+		 * @type {SettingGateway}
+		 */
+		this.permissions = new SettingGateway(this, 'permissions', this.validate.bind(null, this.resolver), this.permissionDataSchema);
+
+		/**
+		 * The SettingGateway instance created to handle channel settings.
+		 * @type {SettingGateway}
+		 */
+		this.channels = new SettingGateway(this, 'channels', this.validateChannel.bind(null, this.resolver), this.channelDataSchema);
 	}
 
 	/**
@@ -77,6 +96,18 @@ class SettingsCache {
 		return result;
 	}
 
+	/**
+	 * The validator function Klasa uses for channel settings.
+	 * @param {SettingResolver} resolver The resolver instance this SettingGateway uses to parse the data.
+	 * @param {(Object|string)} channel The data to validate.
+	 * @returns {any}
+	 */
+	async validateChannel(resolver, channel) { // eslint-disable-line class-methods-use-this
+		const result = await resolver.channel(channel);
+		if (!result) throw 'The parameter <Channel> expects either a Channel ID or a Channel Object.';
+		return result;
+	}
+
 	/**
 	 * The data schema Klasa uses for guild settings.
 	 * @readonly
@@ -101,6 +132,90 @@ class SettingsCache {
 				default: [],
 				array: true,
 				sql: 'TEXT DEFAULT \'[]\''
+			},
+			disabledCategories: {
+				type: 'Category',
+				default: [],
+				array: true,
+				sql: 'TEXT DEFAULT \'[]\''
+			},
+			commandAliases: {
+				type: 'String',
+				default: [],
+				array: true,
+				sql: 'TEXT DEFAULT \'[]\''
+			}
+		};
+	}
+
+	/**
+	 * The data schema Klasa uses for channel settings.
+	 * @readonly
+	 * @returns {Object}
+	 */
+	get channelDataSchema() { // eslint-disable-line class-methods-use-this
+		return {
+			ignored: {
+				type: 'Boolean',
+				default: false,
+				array: false,
+				sql: 'BOOLEAN DEFAULT FALSE'
+			},
+			prefix: {
+				type: 'String',
+				default: null,
+				array: false,
+				sql: 'TEXT'
+			},
+			noPrefix: {
+				type: 'Boolean',
+				default: false,
+				array: false,
+				sql: 'BOOLEAN DEFAULT FALSE'
+			},
+			disabledCommands: {
+				type: 'Command',
+				default: [],
+				array: true,
+				sql: 'TEXT DEFAULT \'[]\''
+			},
+			disabledCategories: {
+				type: 'Category',
+				default: [],
+				array: true,
+				sql: 'TEXT DEFAULT \'[]\''
+			}
+		};
+	}
+
+	/**
+	 * The data schema Klasa uses for command permission overrides.
+	 * @readonly
+	 * @returns {Object}
+	 */
+	get permissionDataSchema() { // eslint-disable-line class-methods-use-this
+		return {
+			overrides: {
+				type: 'String',
+				default: [],
+				array: true,
+				sql: 'TEXT DEFAULT \'[]\''
+			}
+		};
+	}
+
+	/**
+	 * The data schema Klasa uses for guild tags.
+	 * @readonly
+	 * @returns {Object}
+	 */
+	get tagDataSchema() { // eslint-disable-line class-methods-use-this
+		return {
+			tags: {
+				type: 'String',
+				default: [],
+				array: true,
+				sql: 'TEXT DEFAULT \'[]\''
 			}
 		};
 	}
@@ -0,0 +1,132 @@
+const { Collection } = require('discord.js');
+
+/**
+ * The per-guild text commands (tags) set with the built-in tag command, backed by the tags SettingGateway
+ */
+class TagStore {
+
+	/**
+	 * @typedef {Object} GuildTag
+	 * @memberof TagStore
+	 * @property {string} name The name the tag is used by
+	 * @property {string} content The text the tag replies with, which may include the {user} and {args} placeholders
+	 * @property {boolean} embed Whether the tag replies with an embed instead of a plain message
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa client
+	 */
+	constructor(client) {
+		/**
+		 * The client this TagStore was created with.
+		 * @since 0.4.0
+		 * @name TagStore#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+	}
+
+	/**
+	 * The SettingGateway the tags are stored in, keyed by guild
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {SettingGateway}
+	 */
+	get gateway() {
+		return this.client.settings.tags;
+	}
+
+	/**
+	 * Returns the tags of a guild, keyed by name
+	 * @since 0.4.0
+	 * @param {?external:Guild} guild The guild to get the tags of
+	 * @returns {external:Collection<string, GuildTag>}
+	 */
+	list(guild) {
+		const tags = new Collection();
+		if (!guild || !this.gateway) return tags;
+		for (const entry of this.gateway.get(guild.id).tags || []) {
+			const tag = this.constructor.parse(entry);
+			if (tag) tags.set(tag.name, tag);
+		}
+		return tags;
+	}
+
+	/**
+	 * Returns a tag of a guild by its name
+	 * @since 0.4.0
+	 * @param {?external:Guild} guild The guild the tag was set in
+	 * @param {string} name The name of the tag
+	 * @returns {?GuildTag}
+	 */
+	get(guild, name) {
+		return this.list(guild).get(name) || null;
+	}
+
+	/**
+	 * Adds a tag to a guild, replacing the tag with the same name if there is one
+	 * @since 0.4.0
+	 * @param {external:Guild} guild The guild to add the tag to
+	 * @param {string} name The name of the tag
+	 * @param {string} content The text the tag replies with
+	 * @param {boolean} [embed=false] Whether the tag replies with an embed
+	 * @returns {Promise<GuildTag>}
+	 */
+	async set(guild, name, content, embed = false) {
+		if (this.get(guild, name)) await this.delete(guild, name);
+		const tag = { name, content, embed };
+		await this.gateway.updateArray(guild, 'add', 'tags', JSON.stringify(tag));
+		return tag;
+	}
+
+	/**
+	 * Deletes a tag from a guild
+	 * @since 0.4.0
+	 * @param {external:Guild} guild The guild to delete the tag from
+	 * @param {string} name The name of the tag
+	 * @returns {Promise<boolean>} Whether the tag existed
+	 */
+	async delete(guild, name) {
+		const entry = (this.gateway.get(guild.id).tags || []).find(ent => {
+			const tag = this.constructor.parse(ent);
+			return tag && tag.name === name;
+		});
+		if (!entry) return false;
+		await this.gateway.updateArray(guild, 'remove', 'tags', entry);
+		return true;
+	}
+
+	/**
+	 * Parses a stored tag, as the tags key may be edited by hand
+	 * @since 0.4.0
+	 * @param {string} entry The JSON string the tag is stored as
+	 * @returns {?GuildTag} The tag, or null if the entry is not a valid tag
+	 */
+	static parse(entry) {
+		let tag;
+		try {
+			tag = JSON.parse(entry);
+		} catch (err) {
+			return null;
+		}
+		if (!tag || typeof tag.name !== 'string' || typeof tag.content !== 'string') return null;
+		return { name: tag.name, content: tag.content, embed: Boolean(tag.embed) };
+	}
+
+	/**
+	 * Replaces the placeholders of a tag's content
+	 * @since 0.4.0
+	 * @param {GuildTag} tag The tag to fill in
+	 * @param {external:Message} msg The message the tag was used with
+	 * @param {string} args The text given after the tag name
+	 * @returns {string}
+	 */
+	static format(tag, msg, args) {
+		return tag.content.replace(/{(user|args)}/g, (match, placeholder) => placeholder === 'user' ? msg.author.toString() : args);
+	}
+
+}
+
+module.exports = TagStore;
@@ -0,0 +1,229 @@
+const { MessageEmbed } = require('discord.js');
+const Piece = require('./interfaces/Piece');
+const RichMenu = require('../util/RichMenu');
+const AmbiguousArgumentError = require('../util/AmbiguousArgumentError');
+const { levenshtein } = require('../util/util');
+
+/**
+ * Base class for all Klasa Arguments. See {@tutorial CreatingArguments} for more information how to use this class
+ * to build custom arguments.
+ * @tutorial CreatingArguments
+ * @implements {Piece}
+ */
+class Argument {
+
+	/**
+	 * @typedef {Object} ArgumentOptions
+	 * @memberof Argument
+	 * @property {string} [name = theFileName] The name of the argument
+	 * @property {boolean} [enabled=true] Whether the argument is enabled or not
+	 * @property {string[]} [aliases=[]] Any argument aliases
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa Client
+	 * @param {string} dir The path to the core or user argument pieces folder
+	 * @param {string} file The path from the pieces folder to the argument file
+	 * @param {ArgumentOptions} [options = {}] Optional Argument settings
+	 */
+	constructor(client, dir, file, options = {}) {
+		/**
+		 * @since 0.4.0
+		 * @type {KlasaClient}
+		 */
+		this.client = client;
+
+		/**
+		 * The directory to where this argument piece is stored
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.dir = dir;
+
+		/**
+		 * The file location where this argument is stored
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.file = file;
+
+		/**
+		 * The name of the argument, used as the type in usage strings
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.name = options.name || file.slice(0, -3);
+
+		/**
+		 * The type of Klasa piece this is
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.type = 'argument';
+
+		/**
+		 * If the argument is enabled or not
+		 * @since 0.4.0
+		 * @type {boolean}
+		 */
+		this.enabled = 'enabled' in options ? options.enabled : true;
+
+		/**
+		 * The aliases for this argument, also usable as types in usage strings
+		 * @since 0.4.0
+		 * @type {string[]}
+		 */
+		this.aliases = options.aliases || [];
+	}
+
+	/**
+	 * The base resolver used to parse discord.js structures and primitives
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {Resolver}
+	 */
+	get resolver() {
+		return this.client.arguments.resolver;
+	}
+
+	/**
+	 * The run method to be overwritten in actual arguments
+	 * @since 0.4.0
+	 * @param {string} arg The string argument to resolve
+	 * @param {Possible} possible The possible of the usage tag being resolved
+	 * @param {external:Message} msg The message that triggered the command
+	 * @abstract
+	 * @returns {Promise<any>} The resolved argument, you should throw a string explaining the problem if it cannot be resolved
+	 */
+	async run() {
+		// Defined in extension Classes
+	}
+
+	/**
+	 * The init method to be optionaly overwritten in actual arguments
+	 * @since 0.4.0
+	 * @abstract
+	 * @returns {void}
+	 */
+	async init() {
+		// Optionally defined in extension Classes
+	}
+
+	/**
+	 * Searches candidates by name with the configured search strategy, prompting the user with a {@link RichMenu} to pick
+	 * one when several match and none of them has exactly the name searched for
+	 * @since 0.4.0
+	 * @param {string} query The string argument to search for
+	 * @param {any[]} candidates The candidates to search through
+	 * @param {Function} getNames A function returning the names a candidate can be matched by
+	 * @param {Possible} possible The possible of the usage tag being resolved
+	 * @param {external:Message} msg The message that triggered the command
+	 * @returns {Promise<?any>} The matching candidate, or null if none matched
+	 */
+	async search(query, candidates, getNames, possible, msg) {
+		const { strategy = 'insensitive', threshold = 0.6 } = this.client.config.argumentSearch;
+		const scored = [];
+		for (const candidate of candidates) {
+			const score = Math.max(...getNames(candidate).filter(name => name).map(name => Argument.matchScore(query, name, strategy)));
+			if (score > 0 && (strategy !== 'fuzzy' || score >= threshold)) scored.push({ candidate, score });
+		}
+		if (!scored.length) return null;
+
+		const exact = scored.filter(({ score }) => score === 1);
+		const matches = (exact.length ? exact : scored.sort((a, b) => b.score - a.score)).map(({ candidate }) => candidate);
+		if (matches.length === 1) return matches[0];
+		return this.disambiguate(matches.slice(0, 10), getNames, possible, msg);
+	}
+
+	/**
+	 * Prompts the user to pick one of several matching candidates
+	 * @since 0.4.0
+	 * @param {any[]} matches The candidates which matched
+	 * @param {Function} getNames A function returning the names a candidate can be matched by
+	 * @param {Possible} possible The possible of the usage tag being resolved
+	 * @param {external:Message} msg The message that triggered the command
+	 * @returns {Promise<any>} The picked candidate
+	 * @private
+	 */
+	async disambiguate(matches, getNames, possible, msg) {
+		const names = matches.map(match => getNames(match).filter(name => name).join(' / '));
+		if (this.client.config.argumentSearch.prompt === false || !msg.reactable || !msg.channel.embedable) {
+			throw new AmbiguousArgumentError(msg.language.get('RESOLVER_SEARCH_MULTIPLE', possible.name, names.join(', ')), possible);
+		}
+
+		const menu = new RichMenu(new MessageEmbed().setDescription(msg.language.get('RESOLVER_SEARCH_PROMPT', possible.name)));
+		for (const [i, name] of names.entries()) menu.addOption(name, String(matches[i]));
+		const handler = await menu.run(await msg.channel.send(msg.language.get('RESOLVER_SEARCH_LOADING')), {
+			filter: (reaction, user) => user.id === msg.author.id,
+			jump: false,
+			firstLast: false
+		});
+		const selection = await handler.selection;
+		await handler.message.delete().catch(() => null);
+		if (selection === null) throw new AmbiguousArgumentError(msg.language.get('RESOLVER_SEARCH_CANCELLED', possible.name), possible);
+		return matches[selection];
+	}
+
+	// left for documentation
+	/* eslint-disable no-empty-function */
+	async reload() {}
+	unload() {}
+	disable() {}
+	enable() {}
+	/* eslint-enable no-empty-function */
+
+	/**
+	 * Checks min and max values
+	 * @since 0.4.0
+	 * @param {number} value The value to check against
+	 * @param {?number} min The minimum value
+	 * @param {?number} max The maxiumum value
+	 * @param {Possible} possible The possible of the usage tag being resolved
+	 * @param {external:Message} msg The message that triggered the command
+	 * @param {string} [suffix=''] An error suffix
+	 * @returns {boolean}
+	 */
+	static minOrMax(value, min, max, possible, msg, suffix = '') {
+		const hasMin = min !== null && min !== undefined;
+		const hasMax = max !== null && max !== undefined;
+		if (hasMin && hasMax) {
+			if (value >= min && value <= max) return true;
+			if (min === max) throw msg.language.get('RESOLVER_MINMAX_EXACTLY', possible.name, min, suffix);
+			throw msg.language.get('RESOLVER_MINMAX_BOTH', possible.name, min, max, suffix);
+		} else if (hasMin) {
+			if (value >= min) return true;
+			throw msg.language.get('RESOLVER_MINMAX_MIN', possible.name, min, suffix);
+		} else if (hasMax) {
+			if (value <= max) return true;
+			throw msg.language.get('RESOLVER_MINMAX_MAX', possible.name, max, suffix);
+		}
+		return true;
+	}
+
+	/**
+	 * Scores how well a name matches a query with a search strategy, from 0 (no match) to 1 (the same name)
+	 * @since 0.4.0
+	 * @param {string} query The string being searched for
+	 * @param {string} name The name to match against
+	 * @param {string} strategy The search strategy, one of exact, insensitive, prefix or fuzzy
+	 * @returns {number}
+	 */
+	static matchScore(query, name, strategy) {
+		if (query === name) return 1;
+		if (strategy === 'exact') return 0;
+		query = query.toLowerCase();
+		name = name.toLowerCase();
+		if (query === name) return 1;
+		if (strategy === 'insensitive') return 0;
+		if (name.startsWith(query)) return 0.5 + (query.length / name.length / 2);
+		if (strategy === 'prefix') return 0;
+		if (name.includes(query)) return 0.5 + (query.length / name.length / 2);
+		return 1 - (levenshtein(query, name) / Math.max(query.length, name.length));
+	}
+
+}
+
+Piece.applyToClass(Argument);
+
+module.exports = Argument;
@@ -0,0 +1,152 @@
+const { join } = require('path');
+const { Collection } = require('discord.js');
+const Argument = require('./Argument');
+const Resolver = require('../parsers/Resolver');
+const Store = require('./interfaces/Store');
+
+/**
+ * Stores all the arguments usable as types in usage strings
+ * @extends external:Collection
+ * @implements {Store}
+ */
+class ArgumentStore extends Collection {
+
+	/**
+	 * Constructs our ArgumentStore for use in Klasa
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa Client
+	 */
+	constructor(client) {
+		super();
+
+		/**
+		 * The client this ArgumentStore was created with.
+		 * @since 0.4.0
+		 * @name ArgumentStore#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * The different aliases that represent the arguments in this store.
+		 * @since 0.4.0
+		 * @type external:Collection
+		 */
+		this.aliases = new Collection();
+
+		/**
+		 * The piece types registered with {@link KlasaClient#registerPiece}, resolved by the piece argument
+		 * @since 0.4.0
+		 * @type {external:Collection<string, Store>}
+		 */
+		this.pieceTypes = new Collection();
+
+		/**
+		 * The base resolver arguments use to parse discord.js structures and primitives
+		 * @since 0.4.0
+		 * @type {Resolver}
+		 */
+		this.resolver = new Resolver(client);
+
+		/**
+		 * The directory of arguments in Klasa relative to where its installed.
+		 * @since 0.4.0
+		 * @type {String}
+		 */
+		this.coreDir = join(this.client.coreBaseDir, 'arguments');
+
+		/**
+		 * The directory of local arguments relative to where you run Klasa from.
+		 * @since 0.4.0
+		 * @type {String}
+		 */
+		this.userDir = join(this.client.clientBaseDir, 'arguments');
+
+		/**
+		 * The type of structure this store holds
+		 * @since 0.4.0
+		 * @type {Argument}
+		 */
+		this.holds = Argument;
+
+		/**
+		 * The name of what this holds
+		 * @since 0.4.0
+		 * @type {String}
+		 */
+		this.name = 'arguments';
+	}
+
+	/**
+	 * Returns an argument in the store if it exists by its name, by an alias or by a registered piece type.
+	 * @since 0.4.0
+	 * @param {string} name An argument name, alias or registered piece type.
+	 * @returns {Argument}
+	 */
+	get(name) {
+		return super.get(name) || this.aliases.get(name) || (this.pieceTypes.has(name) ? super.get('piece') : undefined);
+	}
+
+	/**
+	 * Returns a boolean if the argument, alias or registered piece type is found within the store.
+	 * @since 0.4.0
+	 * @param {string} name An argument name, alias or registered piece type.
+	 * @returns {boolean}
+	 */
+	has(name) {
+		return Boolean(this.get(name));
+	}
+
+	/**
+	 * Sets up an argument in our store.
+	 * @since 0.4.0
+	 * @param {Argument} argument The argument object we are setting up.
+	 * @returns {Argument}
+	 */
+	set(argument) {
+		if (!(argument instanceof this.holds)) return this.client.emit('error', `Only ${this.name} may be stored in the Store.`);
+		const existing = super.get(argument.name);
+		if (existing) this.delete(existing);
+		super.set(argument.name, argument);
+		for (const alias of argument.aliases) this.aliases.set(alias, argument);
+		return argument;
+	}
+
+	/**
+	 * Deletes an argument from the store.
+	 * @since 0.4.0
+	 * @param {Argument|string} name An argument object or a string representing an argument or alias name.
+	 * @returns {boolean} whether or not the delete was successful.
+	 */
+	delete(name) {
+		const argument = this.resolve(name);
+		if (!argument) return false;
+		super.delete(argument.name);
+		for (const alias of argument.aliases) if (this.aliases.get(alias) === argument) this.aliases.delete(alias);
+		return true;
+	}
+
+	/**
+	 * Clears the arguments and aliases from this store
+	 * @since 0.4.0
+	 * @returns {void}
+	 */
+	clear() {
+		super.clear();
+		this.aliases.clear();
+	}
+
+	// left for documentation
+	/* eslint-disable no-empty-function */
+	init() {}
+	load() {}
+	async loadAll() {}
+	resolve() {}
+	/* eslint-enable no-empty-function */
+
+}
+
+Store.applyToClass(ArgumentStore);
+
+module.exports = ArgumentStore;
@@ -0,0 +1,108 @@
+/**
+ * A category of commands, made of the commands in the same folder. Categories are created by the {@link CommandStore}
+ * as commands are loaded, with the options set for them in the categories config of the client.
+ */
+class Category {
+
+	/**
+	 * @typedef {Object} CategoryOptions
+	 * @memberof Category
+	 * @property {LocalizableString} [description=''] The help description for the category, resolved with {@link Language#localize}
+	 * @property {boolean} [enabled=true] Whether the commands of the category are enabled or not
+	 * @property {number} [permLevel=0] The minimum permission level required to use any command of the category
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {CommandStore} store The command store this category belongs to
+	 * @param {string} name The name of the category
+	 * @param {CategoryOptions} [options = {}] Optional Category settings
+	 */
+	constructor(store, name, options = {}) {
+		/**
+		 * The command store this category belongs to
+		 * @since 0.4.0
+		 * @name Category#store
+		 * @type {CommandStore}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'store', { value: store });
+
+		/**
+		 * The type of this structure, so categories can be enabled and disabled like pieces
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.type = 'category';
+
+		/**
+		 * The name of the category
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.name = name;
+
+		/**
+		 * The description of the category, resolved with {@link Language#localize}
+		 * @since 0.4.0
+		 * @type {LocalizableString}
+		 */
+		this.description = options.description || '';
+
+		/**
+		 * If the commands of the category are enabled or not
+		 * @since 0.4.0
+		 * @type {boolean}
+		 */
+		this.enabled = 'enabled' in options ? options.enabled : true;
+
+		/**
+		 * The minimum permission level required to use any command of the category
+		 * @since 0.4.0
+		 * @type {number}
+		 */
+		this.permLevel = options.permLevel || 0;
+	}
+
+	/**
+	 * The commands in this category
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {external:Collection<string, Command>}
+	 */
+	get commands() {
+		return this.store.filter(command => command.category === this.name);
+	}
+
+	/**
+	 * Disables the commands of this category, until it is enabled again or the bot restarts
+	 * @since 0.4.0
+	 * @returns {Category} This category
+	 */
+	disable() {
+		this.enabled = false;
+		return this;
+	}
+
+	/**
+	 * Enables the commands of this category
+	 * @since 0.4.0
+	 * @returns {Category} This category
+	 */
+	enable() {
+		this.enabled = true;
+		return this;
+	}
+
+	/**
+	 * Defines toString behavior for categories
+	 * @since 0.4.0
+	 * @returns {string} The name of the category
+	 */
+	toString() {
+		return this.name;
+	}
+
+}
+
+module.exports = Category;
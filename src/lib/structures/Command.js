@@ -1,5 +1,8 @@
+const { Collection } = require('discord.js');
 const Piece = require('./interfaces/Piece');
+const Subcommand = require('./Subcommand');
 const ParsedUsage = require('../usage/ParsedUsage');
+const Tag = require('../usage/Tag');
 
 /**
  * Base class for all Klasa Commands. See {@tutorial CreatingCommands} for more information how to use this class
@@ -16,15 +19,32 @@ class Command {
 	 * @property {boolean} [enabled=true] Whether the command is enabled or not
 	 * @property {string[]} [runIn=['text','dm','group']] What channel types the command should run in
 	 * @property {number} [cooldown=0] The amount of time before the user can run the command again in seconds
+	 * @property {string} [cooldownScope='user'] Who shares a cooldown, one of user, member, channel, guild or global
+	 * @property {number} [cooldownUses=1] How many times the command can be used within each cooldown
+	 * @property {?number} [cooldownBypass=this.client.config.cooldowns.bypassLevel] The permission level from which the cooldown does not apply
+	 * @property {number} [concurrency=0] How many times the command can run at once in each concurrency scope, 0 being unlimited
+	 * @property {string} [concurrencyScope='user'] Who shares the concurrency limit, one of user, member, channel, guild or global
+	 * @property {?number} [timeout=this.client.config.commandTimeout] The time in milliseconds the command can run for before it times out
 	 * @property {string[]} [aliases=[]] Any comand aliases
+	 * @property {RegExp[]} [triggers=[]] Regular expressions which run the command when a message without a prefix matches them
+	 * @property {boolean} [prefixlessDM=false] Whether the command can be run without a prefix in direct messages
 	 * @property {number} [permLevel=0] The required permission level to use the command
 	 * @property {string[]} [botPerms=[]] The required Discord permissions for the bot to use this command
 	 * @property {string[]} [requiredSettings=[]] The required guild settings to use this command
-	 * @property {string} [description=''] The help description for the command
+	 * @property {LocalizableString} [description=''] The help description for the command
 	 * @property {string} [usage=''] The usage string for the command
 	 * @property {?string} [usageDelim=undefined] The string to deliminate the command input for usage
 	 * @property {boolean} [quotedStringSupport=this.client.config.quotedStringSupport] Wheter args for this command should not deliminated inside quotes
-	 * @property {string} [extendedHelp='No extended help available.'] Extended help strings
+	 * @property {LocalizableString} [extendedHelp='No extended help available.'] Extended help strings
+	 * @property {(string[]|LocalizableString)} [examples=[]] Examples of how to use the command, without the prefix, shown in the help command
+	 * @property {Object<string, LocalizableString>} [argDescriptions={}] The descriptions of the args, keyed by the name of the usage possible
+	 * @property {Object<string, LocalizableString>} [argNames={}] The names the args are shown with in help, keyed by the name of the usage possible
+	 * @property {Object<string, SubcommandOptions>} [subcommands={}] The subcommands for the command, keyed by subcommand name
+	 * @property {Object<string, string>} [flags={}] The named flags the command accepts, keyed by flag name, with a usage type (and bounds) as value
+	 * @property {Object<string, Function>} [validators={}] Functions validating or transforming resolved args, keyed by the name of the usage possible
+	 * @property {Object<string, (string|Function)>} [prompts={}] The texts to reprompt missing args with, keyed by the name of the usage possible
+	 * @property {Array<(string|Function)>} [before=[]] The hooks run before the command, as functions or names of hook pieces
+	 * @property {Array<(string|Function)>} [after=[]] The hooks run after the command, as functions or names of hook pieces
 	 */
 
 	/**
@@ -69,6 +89,50 @@ class Command {
 		 */
 		this.cooldown = options.cooldown || 0;
 
+		const { cooldownScope = 'user', cooldownUses = 1, cooldownBypass = null, concurrency = 0, concurrencyScope = 'user', timeout = null } = options;
+
+		/**
+		 * Who shares a cooldown of this command, one of user, member, channel, guild or global
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.cooldownScope = cooldownScope;
+
+		/**
+		 * How many times this command can be used within each cooldown
+		 * @since 0.4.0
+		 * @type {number}
+		 */
+		this.cooldownUses = cooldownUses;
+
+		/**
+		 * The permission level from which the cooldown of this command does not apply, or null to use the client config
+		 * @since 0.4.0
+		 * @type {?number}
+		 */
+		this.cooldownBypass = cooldownBypass;
+
+		/**
+		 * How many times this command can run at once in each concurrency scope, 0 being unlimited
+		 * @since 0.4.0
+		 * @type {number}
+		 */
+		this.concurrency = concurrency;
+
+		/**
+		 * Who shares the concurrency limit of this command, one of user, member, channel, guild or global
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.concurrencyScope = concurrencyScope;
+
+		/**
+		 * The time in milliseconds this command can run for before it times out, or null to use the client config
+		 * @since 0.4.0
+		 * @type {?number}
+		 */
+		this.timeout = timeout;
+
 		/**
 		 * The aliases for this command
 		 * @since 0.0.1
@@ -76,6 +140,22 @@ class Command {
 		 */
 		this.aliases = options.aliases || [];
 
+		const { triggers = [], prefixlessDM = false } = options;
+
+		/**
+		 * The regular expressions which run this command when a message without a prefix matches them
+		 * @since 0.4.0
+		 * @type {RegExp[]}
+		 */
+		this.triggers = triggers;
+
+		/**
+		 * Whether this command can be run without a prefix in direct messages
+		 * @since 0.4.0
+		 * @type {boolean}
+		 */
+		this.prefixlessDM = prefixlessDM;
+
 		/**
 		 * The required permLevel to run this command
 		 * @since 0.0.1
@@ -105,19 +185,28 @@ class Command {
 		this.name = options.name || file[file.length - 1].slice(0, -3);
 
 		/**
-		 * The description of the command
+		 * The description of the command, resolved with {@link Language#localize}
 		 * @since 0.0.1
-		 * @type {string}
+		 * @type {LocalizableString}
 		 */
 		this.description = options.description || '';
 
 		/**
-		 * The extended help for the command
+		 * The extended help for the command, resolved with {@link Language#localize}
 		 * @since 0.0.1
-		 * @type {string}
+		 * @type {LocalizableString}
 		 */
 		this.extendedHelp = options.extendedHelp || 'No extended help available.';
 
+		const { examples = [] } = options;
+
+		/**
+		 * Examples of how to use the command, without the prefix, resolved with {@link Language#localize} unless they are an array
+		 * @since 0.4.0
+		 * @type {(string[]|LocalizableString)}
+		 */
+		this.examples = examples;
+
 		/**
 		 * The usage string for the command
 		 * @since 0.0.1
@@ -139,6 +228,41 @@ class Command {
 		 */
 		this.quotedStringSupport = 'quotedStringSupport' in options ? options.quotedStringSupport : this.client.config.quotedStringSupport;
 
+		/**
+		 * The functions run on resolved args, keyed by the name of the usage possible they are for. Each is called with
+		 * the resolved value, the message and the possible, and may throw a string to reject the arg, or return a value to
+		 * replace it with
+		 * @since 0.4.0
+		 * @type {Object<string, Function>}
+		 */
+		this.validators = Object.assign({}, options.validators);
+
+		/**
+		 * The texts to reprompt missing args with, keyed by the name of the usage possible they are for. A function is
+		 * called with the message and the possible, and must return the text
+		 * @since 0.4.0
+		 * @type {Object<string, (string|Function)>}
+		 */
+		this.prompts = Object.assign({}, options.prompts);
+
+		const { before = [], after = [] } = options;
+
+		/**
+		 * The hooks run in order after the inhibitors and before the command, as functions or names of hook pieces. Each
+		 * is called with the message and the resolved params, and may throw a string to veto the command
+		 * @since 0.4.0
+		 * @type {Array<(string|Function)>}
+		 */
+		this.before = [].concat(before);
+
+		/**
+		 * The hooks run in order after the command ran successfully, as functions or names of hook pieces. Each is called
+		 * with the message, the resolved params and the response of the command
+		 * @since 0.4.0
+		 * @type {Array<(string|Function)>}
+		 */
+		this.after = [].concat(after);
+
 		/**
 		 * The full category for the command
 		 * @since 0.0.1
@@ -160,6 +284,20 @@ class Command {
 		 */
 		this.subCategory = this.fullCategory[1] || 'General';
 
+		/**
+		 * The descriptions of the args, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, LocalizableString>}
+		 */
+		this.argDescriptions = Object.assign({}, options.argDescriptions);
+
+		/**
+		 * The names the args are shown with in help, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, LocalizableString>}
+		 */
+		this.argNames = Object.assign({}, options.argNames);
+
 		/**
 		 * The parsed usage for the command
 		 * @since 0.0.1
@@ -168,12 +306,20 @@ class Command {
 		this.usage = new ParsedUsage(client, this);
 
 		/**
-		 * Any active cooldowns for the command
-		 * @since 0.0.1
-		 * @type {Map}
-		 * @private
+		 * The subcommands for the command
+		 * @since 0.4.0
+		 * @type {external:Collection<string, Subcommand>}
+		 */
+		this.subcommands = new Collection();
+		for (const [name, subcommand] of Object.entries(options.subcommands || {})) this.subcommands.set(name.toLowerCase(), new Subcommand(this, name, subcommand));
+
+		/**
+		 * The named flags this command accepts, as single possible tags keyed by flag name
+		 * @since 0.4.0
+		 * @type {external:Collection<string, Tag>}
 		 */
-		this.cooldowns = new Map();
+		this.flags = new Collection();
+		for (const [name, type] of Object.entries(options.flags || {})) this.flags.set(name.toLowerCase(), new Tag(`${name.toLowerCase()}:${type}`, 0, true));
 
 		/**
 		 * The file location where this command is stored
@@ -190,11 +336,23 @@ class Command {
 		this.dir = dir;
 	}
 
+	/**
+	 * Returns a subcommand of this command by its name or by an alias
+	 * @since 0.4.0
+	 * @param {string} name A subcommand or alias name
+	 * @returns {?Subcommand}
+	 */
+	getSubcommand(name) {
+		name = name.toLowerCase();
+		return this.subcommands.get(name) || this.subcommands.find(subcommand => subcommand.aliases.includes(name)) || null;
+	}
+
 	/**
 	 * The run method to be overwritten in actual commands
 	 * @since 0.0.1
 	 * @param {CommandMessage} msg The command message mapped on top of the message used to trigger this command
 	 * @param {any[]} params The fully resolved parameters based on your usage / usageDelim
+	 * @param {CommandSignal} signal The signal cancelled when the command times out or its message is deleted
 	 * @abstract
 	 * @returns {external:Message} You should return the response message whenever possible
 	 */
@@ -1,16 +1,30 @@
+const AmbiguousArgumentError = require('../util/AmbiguousArgumentError');
+
+const flagRegex = /(^|\s)--([\w-]+)(?:=(?:"((?:[^"\\]|\\.)*)"|(\S+)))?(?=\s|$)/g;
+
 /**
  * The internal class that turns command arguments into command parameters
  */
 class CommandMessage {
 
+	/**
+	 * @typedef {Object} CommandMessageOptions
+	 * @memberof CommandMessage
+	 * @property {?Subcommand} [subcommand] The subcommand to run, instead of resolving it from the first argument
+	 * @property {string[]} [args] The string arguments to run the command with, instead of parsing them from the message
+	 * @property {Object<string, (string|boolean)>} [flags] The raw named flags to run the command with, instead of parsing them from the message
+	 * @property {?Array<string>} [trigger] The match of the regular expression trigger which ran the command
+	 */
+
 	/**
 	 * @since 0.0.1
 	 * @param {external:Message} msg The message this command message is for
 	 * @param {Command} cmd The command being run
-	 * @param {string} prefix The prefix the user used to run the command
+	 * @param {?RegExp} prefix The prefix the user used to run the command, or null if it was run without a prefix
 	 * @param {number} prefixLength The length of the prefix the user used to run the command
+	 * @param {CommandMessageOptions} [options={}] The subcommand, args and flags to run the command with, if they are not parsed from the message
 	 */
-	constructor(msg, cmd, prefix, prefixLength) {
+	constructor(msg, cmd, prefix, prefixLength, options = {}) {
 		/**
 		 * The client this CommandMessage was created with.
 		 * @since 0.0.1
@@ -35,9 +49,9 @@ class CommandMessage {
 		this.cmd = cmd;
 
 		/**
-		 * The prefix used
+		 * The prefix used, or null if the command was run without a prefix
 		 * @since 0.0.1
-		 * @type {string}
+		 * @type {?RegExp}
 		 */
 		this.prefix = prefix;
 
@@ -49,11 +63,42 @@ class CommandMessage {
 		this.prefixLength = prefixLength;
 
 		/**
-		 * The string arguments derived from the usageDelim of the command
+		 * The match of the regular expression trigger which ran the command, if it was run by one of its triggers
+		 * @since 0.4.0
+		 * @type {?Array<string>}
+		 */
+		this.trigger = options.trigger || null;
+
+		/**
+		 * The named flags resolved by this class, keyed by flag name
+		 * @since 0.4.0
+		 * @type {Object<string, any>}
+		 */
+		this.flags = {};
+
+		/**
+		 * The raw named flags given in the message, stripped out of the args
+		 * @since 0.4.0
+		 * @private
+		 * @type {Object<string, (string|boolean)>}
+		 */
+		this._flags = options.flags || this.constructor.parseFlags(this).flags;
+
+		/**
+		 * The subcommand being run, resolved from the first argument if the command has subcommands
+		 * @since 0.4.0
+		 * @type {?Subcommand}
+		 */
+		if ('subcommand' in options) this.subcommand = options.subcommand;
+		else this.subcommand = this.cmd.subcommands.size ? this.constructor.getSubcommand(this) : null;
+
+		/**
+		 * The string arguments derived from the usageDelim of the command or subcommand
 		 * @since 0.0.1
 		 * @type {string[]}
 		 */
-		this.args = this.cmd.quotedStringSupport ? this.constructor.getQuotedStringArgs(this) : this.constructor.getArgs(this);
+		if (options.args) this.args = options.args;
+		else this.args = (this.subcommand || this.cmd).quotedStringSupport ? this.constructor.getQuotedStringArgs(this) : this.constructor.getArgs(this);
 
 		/**
 		 * The parameters resolved by this class
@@ -69,6 +114,22 @@ class CommandMessage {
 		 */
 		this.reprompted = false;
 
+		/**
+		 * The prompts sent and the responses received while reprompting, deleted once the args are collected
+		 * @since 0.4.0
+		 * @private
+		 * @type {external:Message[]}
+		 */
+		this._prompts = [];
+
+		/**
+		 * How many times each arg has been reprompted for, by position
+		 * @since 0.4.0
+		 * @private
+		 * @type {number[]}
+		 */
+		this._promptAttempts = [];
+
 		/**
 		 * A cache of the current usage while validating
 		 * @since 0.0.1
@@ -86,6 +147,42 @@ class CommandMessage {
 		this._repeat = false;
 	}
 
+	/**
+	 * The parsed usage the args are validated against, from the subcommand if one is being run
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {ParsedUsage}
+	 */
+	get usage() {
+		return (this.subcommand || this.cmd).usage;
+	}
+
+	/**
+	 * Validates and resolves the raw named flags against the flags the command accepts
+	 * @since 0.4.0
+	 * @private
+	 * @returns {Object<string, any>} The resolved flags
+	 */
+	async validateFlags() {
+		for (const [name, value] of Object.entries(this._flags)) {
+			// The flags given in the options of this command message are not parsed against the flags of the command
+			const flag = this.cmd.flags.get(name);
+			if (!flag) throw this.msg.language.get('COMMANDMESSAGE_UNKNOWN_FLAG', name);
+			const [possible] = flag.possibles;
+			const argument = this.client.arguments.get(possible.type);
+			if (value === true) {
+				if (!argument || argument.name !== 'boolean') throw this.msg.language.get('COMMANDMESSAGE_FLAG_VALUE', name);
+				this.flags[name] = true;
+			} else if (argument) {
+				this.flags[name] = await argument.run(value, possible, this.msg)
+					.catch((err) => { throw err instanceof AmbiguousArgumentError ? err.message : err; });
+			} else {
+				throw this.constructor.unknownArgument(possible, this.cmd);
+			}
+		}
+		return this.flags;
+	}
+
 	/**
 	 * Validates and resolves args into parameters
 	 * @since 0.0.1
@@ -93,12 +190,13 @@ class CommandMessage {
 	 * @returns {any[]} The resolved parameters
 	 */
 	async validateArgs() {
-		if (this.params.length >= this.cmd.usage.parsedUsage.length && this.params.length >= this.args.length) {
+		if (this.cmd.subcommands.size && !this.subcommand) throw this.msg.language.get('COMMANDMESSAGE_NO_SUBCOMMAND', this.cmd.subcommands.map(subcommand => subcommand.name).join(', '));
+		if (this.params.length >= this.usage.parsedUsage.length && this.params.length >= this.args.length) {
 			return this.params;
-		} else if (this.cmd.usage.parsedUsage[this.params.length]) {
-			if (this.cmd.usage.parsedUsage[this.params.length].type !== 'repeat') {
-				this._currentUsage = this.cmd.usage.parsedUsage[this.params.length];
-			} else if (this.cmd.usage.parsedUsage[this.params.length].type === 'repeat') {
+		} else if (this.usage.parsedUsage[this.params.length]) {
+			if (this.usage.parsedUsage[this.params.length].type !== 'repeat') {
+				this._currentUsage = this.usage.parsedUsage[this.params.length];
+			} else if (this.usage.parsedUsage[this.params.length].type === 'repeat') {
 				this._currentUsage.type = 'optional';
 				this._repeat = true;
 			}
@@ -106,37 +204,43 @@ class CommandMessage {
 			return this.params;
 		}
 		if (this._currentUsage.type === 'optional' && (this.args[this.params.length] === undefined || this.args[this.params.length] === '')) {
-			if (this.cmd.usage.parsedUsage.slice(this.params.length).some(usage => usage.type === 'required')) {
+			if (this.usage.parsedUsage.slice(this.params.length).some(usage => usage.type === 'required')) {
 				this.args.splice(this.params.length, 0, undefined);
 				this.args.splice(this.params.length, 1, null);
 				throw this.client.methods.util.newError(this.msg.language.get('COMMANDMESSAGE_MISSING'), 1);
 			} else {
-				return this.params;
+				return this.fillDefaults();
 			}
 		} else if (this._currentUsage.type === 'required' && this.args[this.params.length] === undefined) {
 			this.args.splice(this.params.length, 1, null);
-			throw this.client.methods.util.newError(this._currentUsage.possibles.length === 1 ?
-				this.msg.language.get('COMMANDMESSAGE_MISSING_REQUIRED', this._currentUsage.possibles[0].name) :
-				this.msg.language.get('COMMANDMESSAGE_MISSING_OPTIONALS', this._currentUsage.possibles.map(poss => poss.name).join(', ')), 1);
+			throw this.client.methods.util.newError(this.getPrompt(this._currentUsage) || (this._currentUsage.possibles.length === 1 ?
+				this.msg.language.get('COMMANDMESSAGE_MISSING_REQUIRED', this.argNames(this._currentUsage)) :
+				this.msg.language.get('COMMANDMESSAGE_MISSING_OPTIONALS', this.argNames(this._currentUsage))), 1);
 		} else if (this._currentUsage.possibles.length === 1) {
-			if (this.client.argResolver[this._currentUsage.possibles[0].type]) {
-				return this.client.argResolver[this._currentUsage.possibles[0].type](this.args[this.params.length], this._currentUsage, 0, this._repeat, this.msg)
+			const argument = this.client.arguments.get(this._currentUsage.possibles[0].type);
+			if (argument) {
+				return argument.run(this.args[this.params.length], this._currentUsage.possibles[0], this.msg)
+					.catch((err) => {
+						// Only an arg which does not match the type of an optional tag falls back to its default
+						if (this._currentUsage.type === 'optional' && !this._repeat && !(err instanceof AmbiguousArgumentError)) return null;
+						throw err;
+					})
+					.then(res => res === null ? null : this.runValidator(res, this._currentUsage.possibles[0]))
 					.catch((err) => {
 						this.args.splice(this.params.length, 1, null);
-						throw this.client.methods.util.newError(err, 1);
+						throw this.client.methods.util.newError(err instanceof AmbiguousArgumentError ? err.message : err, 1);
 					})
-					.then((res) => {
+					.then(async (res) => {
 						if (res !== null) {
 							this.params.push(res);
 							return this.validateArgs();
 						}
 						this.args.splice(this.params.length, 0, undefined);
-						this.params.push(undefined);
+						this.params.push(await this.resolveDefault(this._currentUsage));
 						return this.validateArgs();
 					});
 			}
-			this.client.emit('warn', 'Unknown Argument Type encountered');
-			return this.validateArgs();
+			throw this.constructor.unknownArgument(this._currentUsage.possibles[0], this.cmd);
 		} else {
 			return this.multiPossibles(0, false);
 		}
@@ -156,25 +260,165 @@ class CommandMessage {
 		} else if (possible >= this._currentUsage.possibles.length) {
 			if (this._currentUsage.type === 'optional' && !this._repeat) {
 				this.args.splice(this.params.length, 0, undefined);
-				this.params.push(undefined);
+				this.params.push(await this.resolveDefault(this._currentUsage));
 				return this.validateArgs();
 			}
 			this.args.splice(this.params.length, 1, null);
-			throw this.client.methods.util.newError(this.msg.language.get('COMMANDMESSAGE_NOMATCH', this._currentUsage.possibles.map(poss => poss.name).join(', ')), 1);
-		} else if (this.client.argResolver[this._currentUsage.possibles[possible].type]) {
-			return this.client.argResolver[this._currentUsage.possibles[possible].type](this.args[this.params.length], this._currentUsage, possible, this._repeat, this.msg)
+			throw this.client.methods.util.newError(this.msg.language.get('COMMANDMESSAGE_NOMATCH', this.argNames(this._currentUsage)), 1);
+		}
+		const argument = this.client.arguments.get(this._currentUsage.possibles[possible].type);
+		if (argument) {
+			return argument.run(this.args[this.params.length], this._currentUsage.possibles[possible], this.msg)
+				.then(res => this.runValidator(res, this._currentUsage.possibles[possible]), (err) => {
+					// An arg which does not match the type of a possible is tried with the next one
+					if (err instanceof AmbiguousArgumentError) throw err;
+					return null;
+				})
+				.catch((err) => {
+					this.args.splice(this.params.length, 1, null);
+					throw this.client.methods.util.newError(err instanceof AmbiguousArgumentError ? err.message : err, 1);
+				})
 				.then((res) => {
 					if (res !== null) {
 						this.params.push(res);
 						return this.multiPossibles(++possible, true);
 					}
 					return this.multiPossibles(++possible, validated);
-				})
-				.catch(() => this.multiPossibles(++possible, validated));
-		} else {
-			this.client.emit('warn', 'Unknown Argument Type encountered');
-			return this.multiPossibles(++possible, validated);
+				});
+		}
+		throw this.constructor.unknownArgument(this._currentUsage.possibles[possible], this.cmd);
+	}
+
+	/**
+	 * Runs the validator of the command or subcommand for a possible on its resolved value
+	 * @since 0.4.0
+	 * @param {any} value The resolved value
+	 * @param {Possible} possible The possible the value was resolved for
+	 * @private
+	 * @returns {Promise<any>} The validated value, or the value the validator transformed it into
+	 */
+	async runValidator(value, possible) {
+		const validator = (this.subcommand || this.cmd).validators[possible.name];
+		if (!validator) return value;
+		const result = await validator.call(this.cmd, value, this.msg, possible);
+		return result === undefined ? value : result;
+	}
+
+	/**
+	 * Gets the names of the possibles of a tag, as shown in the language of the message
+	 * @since 0.4.0
+	 * @param {Tag} tag The tag to name the possibles of
+	 * @private
+	 * @returns {string}
+	 */
+	argNames(tag) {
+		return tag.possibles.map(poss => this.usage.argName(poss.name, this.msg.language)).join(', ');
+	}
+
+	/**
+	 * Gets the custom text of the command or subcommand to reprompt a missing tag with
+	 * @since 0.4.0
+	 * @param {Tag} tag The missing tag
+	 * @private
+	 * @returns {?string}
+	 */
+	getPrompt(tag) {
+		const { prompts } = this.subcommand || this.cmd;
+		const possible = tag.possibles.find(poss => prompts[poss.name]);
+		if (!possible) return null;
+		const prompt = prompts[possible.name];
+		return typeof prompt === 'function' ? prompt.call(this.cmd, this.msg, possible) : prompt;
+	}
+
+	/**
+	 * Resolves the default value of an omitted tag through its possibles
+	 * @since 0.4.0
+	 * @param {Tag} tag The omitted tag
+	 * @private
+	 * @returns {Promise<any>} The resolved default value, or undefined if the tag has none
+	 */
+	async resolveDefault(tag) {
+		if (tag.default === null) return undefined;
+		for (const possible of tag.possibles) {
+			const argument = this.client.arguments.get(possible.type);
+			if (!argument) continue;
+			const res = await argument.run(tag.default, possible, this.msg).catch(() => null);
+			if (res !== null) return res;
 		}
+		this.client.emit('warn', `The default value '${tag.default}' of the command ${(this.subcommand || this.cmd).toString()} could not be resolved`);
+		return undefined;
+	}
+
+	/**
+	 * Resolves the default values of the remaining tags, once the args have run out
+	 * @since 0.4.0
+	 * @private
+	 * @returns {Promise<any[]>} The resolved parameters
+	 */
+	async fillDefaults() {
+		const tags = this.usage.parsedUsage.slice(this.params.length).filter(tag => tag.type !== 'repeat');
+		if (!tags.some(tag => tag.default !== null)) return this.params;
+		for (const tag of tags) this.params.push(await this.resolveDefault(tag));
+		return this.params;
+	}
+
+	/**
+	 * Creates the error a command is rejected with when its usage uses an argument type which is not loaded, as the arg
+	 * can never be resolved
+	 * @since 0.4.0
+	 * @param {Possible} possible The possible using the argument type
+	 * @param {Command} cmd The command being run
+	 * @private
+	 * @returns {Error}
+	 */
+	static unknownArgument(possible, cmd) {
+		return new Error(`The argument type ${possible.type} used by the command ${cmd.name} does not exist.`);
+	}
+
+	/**
+	 * Gets the raw argument content of a message, without the prefix, command name and subcommand name
+	 * @since 0.4.0
+	 * @param {CommandMessage} cmdMsg this command message
+	 * @private
+	 * @returns {string}
+	 */
+	static getContent(cmdMsg) {
+		const { content } = CommandMessage.parseFlags(cmdMsg);
+		if (!cmdMsg.subcommand) return content;
+		return content.slice(content.split(' ')[0].length).trim();
+	}
+
+	/**
+	 * Strips the named flags the command accepts (--flag, --key=value or --key="quoted value") out of the raw argument content of a message
+	 * @since 0.4.0
+	 * @param {CommandMessage} cmdMsg this command message
+	 * @private
+	 * @returns {{ content: string, flags: Object<string, (string|boolean)> }}
+	 */
+	static parseFlags(cmdMsg) {
+		const flags = {};
+		const content = cmdMsg.msg.content.slice(cmdMsg.prefixLength).trim().split(' ').slice(1).join(' ')
+			.replace(flagRegex, (match, space, name, quoted, value) => {
+				name = name.toLowerCase();
+				if (!cmdMsg.cmd.flags.has(name)) return match;
+				if (quoted !== undefined) flags[name] = quoted.replace(/\\"/g, '"');
+				else flags[name] = value !== undefined ? value : true;
+				return '';
+			})
+			.trim();
+		return { content, flags };
+	}
+
+	/**
+	 * Resolves the subcommand named by the first argument of a message
+	 * @since 0.4.0
+	 * @param {CommandMessage} cmdMsg this command message
+	 * @private
+	 * @returns {?Subcommand}
+	 */
+	static getSubcommand(cmdMsg) {
+		const [name] = CommandMessage.getContent(cmdMsg).split(' ');
+		return name ? cmdMsg.cmd.getSubcommand(name) : null;
 	}
 
 	/**
@@ -185,8 +429,8 @@ class CommandMessage {
 	 * @returns {string[]}
 	 */
 	static getArgs(cmdMsg) {
-		// eslint-disable-next-line newline-per-chained-call
-		const args = cmdMsg.msg.content.slice(cmdMsg.prefixLength).trim().split(' ').slice(1).join(' ').trim().split(cmdMsg.cmd.usageDelim !== '' ? cmdMsg.cmd.usageDelim : undefined);
+		const { usageDelim } = cmdMsg.subcommand || cmdMsg.cmd;
+		const args = CommandMessage.getContent(cmdMsg).split(usageDelim !== '' ? usageDelim : undefined);
 		return args.length === 1 && args[0] === '' ? [] : args;
 	}
 
@@ -198,16 +442,17 @@ class CommandMessage {
 	 * @returns {string[]}
 	 */
 	static getQuotedStringArgs(cmdMsg) {
-		const content = cmdMsg.msg.content.slice(cmdMsg.prefixLength).trim().split(' ').slice(1).join(' ').trim();
+		const content = CommandMessage.getContent(cmdMsg);
+		const { usageDelim } = cmdMsg.subcommand || cmdMsg.cmd;
 
-		if (!cmdMsg.cmd.usageDelim || cmdMsg.cmd.usageDelim === '') return [content];
+		if (!usageDelim || usageDelim === '') return [content];
 
 		const args = [];
 		let current = '';
 		let openQuote = false;
 
 		for (let i = 0; i < content.length; i++) {
-			if (!openQuote && content.slice(i, i + cmdMsg.cmd.usageDelim.length) === cmdMsg.cmd.usageDelim) {
+			if (!openQuote && content.slice(i, i + usageDelim.length) === usageDelim) {
 				if (current !== '') args.push(current);
 				current = '';
 				continue;
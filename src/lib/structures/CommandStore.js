@@ -2,6 +2,7 @@ const { join } = require('path');
 const { Collection } = require('discord.js');
 const fs = require('fs-nextra');
 const Command = require('./Command');
+const Category = require('./Category');
 const Store = require('./interfaces/Store');
 
 /**
@@ -11,6 +12,17 @@ const Store = require('./interfaces/Store');
  */
 class CommandStore extends Collection {
 
+	/**
+	 * @typedef {Object} PermissionOverride
+	 * @memberof CommandStore
+	 * @property {string} type The type of target the override applies to, one of user, role or channel
+	 * @property {string} id The id of the user, role or channel the override applies to
+	 * @property {string} target The name of the command or category the override is for
+	 * @property {boolean} category Whether the override is for a whole category
+	 * @property {boolean} allow Whether the override allows or denies the command
+	 * @property {number} level The highest permission level an allow override lifts the command or category from
+	 */
+
 	/**
 	 * Constructs our CommandStore for use in Klasa
 	 * @since 0.0.1
@@ -35,6 +47,13 @@ class CommandStore extends Collection {
 		 */
 		this.aliases = new Collection();
 
+		/**
+		 * The categories of the commands in this store, keyed by name.
+		 * @since 0.4.0
+		 * @type {external:Collection<string, Category>}
+		 */
+		this.categories = new Collection();
+
 		/**
 		 * The directory of commands in Klasa relative to where its installed.
 		 * @since 0.0.1
@@ -83,6 +102,153 @@ class CommandStore extends Collection {
 		return super.has(name) || this.aliases.has(name);
 	}
 
+	/**
+	 * Returns the custom command aliases a guild has set, keyed by alias.
+	 * @since 0.4.0
+	 * @param {?external:Guild} guild The guild to get the custom aliases of.
+	 * @returns {external:Collection<string, Command>}
+	 */
+	getGuildAliases(guild) {
+		const aliases = new Collection();
+		if (!guild) return aliases;
+		for (const entry of guild.settings.commandAliases || []) {
+			const [alias, name] = entry.split(':');
+			const command = super.get(name);
+			if (command) aliases.set(alias, command);
+		}
+		return aliases;
+	}
+
+	/**
+	 * Returns the command a custom alias of a guild is for.
+	 * @since 0.4.0
+	 * @param {?external:Guild} guild The guild the custom alias was set in.
+	 * @param {string} alias The custom alias.
+	 * @returns {?Command}
+	 */
+	resolveGuildAlias(guild, alias) {
+		return this.getGuildAliases(guild).get(alias) || null;
+	}
+
+	/**
+	 * Returns the name of a command category, matched case insensitively.
+	 * @since 0.4.0
+	 * @param {string} name The name of the category.
+	 * @returns {?string}
+	 */
+	resolveCategory(name) {
+		name = name.toLowerCase();
+		const category = this.categories.find(cat => cat.name.toLowerCase() === name);
+		return category ? category.name : null;
+	}
+
+	/**
+	 * Returns whether the category of a command is disabled, globally or in a guild.
+	 * @since 0.4.0
+	 * @param {Command} command The command to check.
+	 * @param {?external:Guild} guild The guild the command is used in.
+	 * @returns {boolean}
+	 */
+	isCategoryDisabled(command, guild) {
+		const category = this.categories.get(command.category);
+		if (category && !category.enabled) return true;
+		return Boolean(guild) && (guild.settings.disabledCategories || []).includes(command.category);
+	}
+
+	/**
+	 * Returns the command permission overrides a guild has set, skipping the malformed ones.
+	 * @since 0.4.0
+	 * @param {?external:Guild} guild The guild to get the permission overrides of.
+	 * @returns {PermissionOverride[]}
+	 */
+	getPermissionOverrides(guild) {
+		if (!guild || !this.client.settings.permissions) return [];
+		return (this.client.settings.permissions.get(guild.id).overrides || [])
+			.map(entry => CommandStore.parsePermissionOverride(entry))
+			.filter(override => override);
+	}
+
+	/**
+	 * Returns the permission level required to run a command, or one of its subcommands, including the permission level
+	 * of its category.
+	 * @since 0.4.0
+	 * @param {Command} command The command to get the permission level of.
+	 * @param {?Subcommand} [subcommand=null] The subcommand which is run, if any.
+	 * @returns {number}
+	 */
+	getPermissionLevel(command, subcommand = null) {
+		const category = this.categories.get(command.category);
+		return Math.max((subcommand || command).permLevel, category ? category.permLevel : 0);
+	}
+
+	/**
+	 * Resolves whether the permission overrides of a guild allow or deny a command for a message, checking the overrides
+	 * for the author first, then for the roles of the author, then for the channel. At each of these levels, overrides for
+	 * the command take precedence over overrides for its category, and an allow wins over a deny. An allow only applies while
+	 * the command, or the subcommand run, requires at most the level the override was set for, and never above
+	 * {@link CommandStore.maxOverrideLevel}.
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command is run with.
+	 * @param {Command} command The command to check.
+	 * @param {?Subcommand} [subcommand=msg.subcommand] The subcommand to check, if any.
+	 * @returns {?boolean} Whether the command is allowed, or null if no override applies and the permission level decides.
+	 */
+	resolvePermissionOverride(msg, command, subcommand = msg.subcommand) {
+		const permLevel = this.getPermissionLevel(command, subcommand);
+		const overrides = this.getPermissionOverrides(msg.guild)
+			.filter(override => override.category ? override.target === command.category : override.target === command.name)
+			.filter(override => !override.allow || (permLevel <= override.level && permLevel <= CommandStore.maxOverrideLevel));
+		if (!overrides.length) return null;
+		const roles = msg.member ? msg.member.roles : new Collection();
+		const levels = [
+			override => override.type === 'user' && override.id === msg.author.id,
+			override => override.type === 'role' && roles.has(override.id),
+			override => override.type === 'channel' && override.id === msg.channel.id
+		];
+		for (const level of levels) {
+			const matching = overrides.filter(level);
+			if (!matching.length) continue;
+			const specific = matching.filter(override => !override.category);
+			return (specific.length ? specific : matching).some(override => override.allow);
+		}
+		return null;
+	}
+
+	/**
+	 * The highest permission level an allow override can lift a command from, so the commands reserved to the bot owner
+	 * can never be allowed in a guild.
+	 * @since 0.4.0
+	 * @type {number}
+	 */
+	static get maxOverrideLevel() {
+		return 8;
+	}
+
+	/**
+	 * Parses a stored permission override, returning null if it is malformed.
+	 * @since 0.4.0
+	 * @param {string} entry The stored permission override.
+	 * @returns {?PermissionOverride}
+	 */
+	static parsePermissionOverride(entry) {
+		let override;
+		try {
+			override = JSON.parse(entry);
+		} catch (err) {
+			return null;
+		}
+		if (!override || !['user', 'role', 'channel'].includes(override.type)) return null;
+		if (typeof override.id !== 'string' || typeof override.target !== 'string') return null;
+		return {
+			type: override.type,
+			id: override.id,
+			target: override.target,
+			category: override.category === true,
+			allow: override.allow === true,
+			level: Number.isInteger(override.level) ? override.level : 0
+		};
+	}
+
 	/**
 	 * Sets up a command in our store.
 	 * @since 0.0.1
@@ -92,9 +258,13 @@ class CommandStore extends Collection {
 	set(command) {
 		if (!(command instanceof Command)) return this.client.emit('error', 'Only commands may be stored in the CommandStore.');
 		const existing = this.get(command.name);
+		// Keep the category of a reloaded command, which is deleted with it if it was the last command of the category
+		const { categories = {} } = this.client.config;
+		const category = this.categories.get(command.category) || new Category(this, command.category, categories[command.category]);
 		if (existing) this.delete(existing);
 		super.set(command.name, command);
 		for (const alias of command.aliases) this.aliases.set(alias, command);
+		this.categories.set(command.category, category);
 		return command;
 	}
 
@@ -109,17 +279,19 @@ class CommandStore extends Collection {
 		if (!command) return false;
 		super.delete(command.name);
 		for (const alias of command.aliases) this.aliases.delete(alias);
+		if (!this.some(cmd => cmd.category === command.category)) this.categories.delete(command.category);
 		return true;
 	}
 
 	/**
-	 * Clears the commands and aliases from this store
+	 * Clears the commands, aliases and categories from this store
 	 * @since 0.0.1
 	 * @returns {void}
 	 */
 	clear() {
 		super.clear();
 		this.aliases.clear();
+		this.categories.clear();
 	}
 
 	/**
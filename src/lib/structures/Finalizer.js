@@ -71,6 +71,7 @@ class Finalizer {
 	 * @param {CommandMessage} msg The command message mapped on top of the message used to trigger this finalizer
 	 * @param {external:Message} mes The bot's response message, if one is returned
 	 * @param {number} start The performance now start time including all command overhead
+	 * @param {Stopwatch} runTimer The stopwatch timing the command itself, from when it was run until it finished
 	 * @abstract
 	 * @returns {void}
 	 */
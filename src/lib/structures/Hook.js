@@ -0,0 +1,104 @@
+const Piece = require('./interfaces/Piece');
+
+/**
+ * Base class for all Klasa Hooks. Hooks are reusable middleware which commands name in their before and after options. See
+ * {@tutorial CreatingHooks} for more information how to use this class to build custom hooks.
+ * @tutorial CreatingHooks
+ * @implements {Piece}
+ */
+class Hook {
+
+	/**
+	 * @typedef {Object} HookOptions
+	 * @memberof Hook
+	 * @property {string} [name = theFileName] The name of the hook
+	 * @property {boolean} [enabled=true] Whether the hook is enabled or not
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa Client
+	 * @param {string} dir The path to the user hook pieces folder
+	 * @param {string} file The path from the pieces folder to the hook file
+	 * @param {HookOptions} [options = {}] Optional Hook settings
+	 */
+	constructor(client, dir, file, options = {}) {
+		/**
+		 * @since 0.4.0
+		 * @type {KlasaClient}
+		 */
+		this.client = client;
+
+		/**
+		 * The directory to where this hook piece is stored
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.dir = dir;
+
+		/**
+		 * The file location where this hook is stored
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.file = file;
+
+		/**
+		 * The name of the hook
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.name = options.name || file.slice(0, -3);
+
+		/**
+		 * The type of Klasa piece this is
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.type = 'hook';
+
+		/**
+		 * If the hook is enabled or not
+		 * @since 0.4.0
+		 * @type {boolean}
+		 */
+		this.enabled = 'enabled' in options ? options.enabled : true;
+	}
+
+	/**
+	 * The run method to be overwritten in actual hooks. Throwing a string in a before hook vetoes the command, and the
+	 * string is sent as the response
+	 * @since 0.4.0
+	 * @param {CommandMessage} msg The command message mapped on top of the message used to trigger the command
+	 * @param {any[]} params The resolved params of the command
+	 * @param {any} [response] What the command returned, in after hooks
+	 * @abstract
+	 * @returns {void}
+	 */
+	run() {
+		// Defined in extension Classes
+	}
+
+	/**
+	 * The init method to be optionaly overwritten in actual hooks
+	 * @since 0.4.0
+	 * @abstract
+	 * @returns {void}
+	 */
+	async init() {
+		// Optionally defined in extension Classes
+	}
+
+	// left for documentation
+	/* eslint-disable no-empty-function */
+	async reload() {}
+	unload() {}
+	disable() {}
+	enable() {}
+	/* eslint-enable no-empty-function */
+
+}
+
+Piece.applyToClass(Hook);
+
+module.exports = Hook;
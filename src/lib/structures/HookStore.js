@@ -0,0 +1,119 @@
+const { join } = require('path');
+const { Collection } = require('discord.js');
+const Hook = require('./Hook');
+const Store = require('./interfaces/Store');
+
+/**
+ * Stores all hooks for use in Klasa.
+ * @extends external:Collection
+ * @implements {Store}
+ */
+class HookStore extends Collection {
+
+	/**
+	 * Constructs our HookStore for use in Klasa
+	 * @since 0.4.0
+	 * @param  {KlasaClient} client The Klasa client
+	 */
+	constructor(client) {
+		super();
+
+		/**
+		 * The client this HookStore was created with.
+		 * @since 0.4.0
+		 * @name HookStore#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * Klasa has no core hooks, so they are only loaded from the user directory.
+		 * @since 0.4.0
+		 * @type {?String}
+		 */
+		this.coreDir = null;
+
+		/**
+		 * The directory of local hooks relative to where you run Klasa from.
+		 * @since 0.4.0
+		 * @type {String}
+		 */
+		this.userDir = join(this.client.clientBaseDir, 'hooks');
+
+		/**
+		 * The type of structure this store holds
+		 * @since 0.4.0
+		 * @type {Hook}
+		 */
+		this.holds = Hook;
+
+		/**
+		 * The name of what this holds
+		 * @since 0.4.0
+		 * @type {String}
+		 */
+		this.name = 'hooks';
+	}
+
+	/**
+	 * Deletes a hook from the store
+	 * @since 0.4.0
+	 * @param  {Hook|string} name The hook object or a string representing the structure this store caches
+	 * @return {boolean} whether or not the delete was successful.
+	 */
+	delete(name) {
+		const hook = this.resolve(name);
+		if (!hook) return false;
+		super.delete(hook.name);
+		return true;
+	}
+
+	/**
+	 * Runs the before or after hooks of a command in order, waiting for each to finish before running the next.
+	 * Functions are called with the command as this, and disabled hook pieces are skipped
+	 * @since 0.4.0
+	 * @param  {CommandMessage} msg The command message the command is run with
+	 * @param  {string} type Which hooks to run, either before or after
+	 * @param  {Array} args The arguments passed down to the hooks after the message
+	 * @return {void}
+	 */
+	async run(msg, type, ...args) {
+		for (const hook of msg.cmd[type]) {
+			if (typeof hook === 'function') {
+				await hook.call(msg.cmd, msg, ...args);
+				continue;
+			}
+			const piece = this.get(hook);
+			if (!piece) throw new Error(`The hook ${hook} used by the command ${msg.cmd.name} does not exist.`);
+			if (piece.enabled) await piece.run(msg, ...args);
+		}
+	}
+
+	/**
+	 * Sets up a hook in our store.
+	 * @since 0.4.0
+	 * @param {Hook} hook The hook object we are setting up.
+	 * @returns {Hook}
+	 */
+	set(hook) {
+		if (!(hook instanceof this.holds)) return this.client.emit('error', `Only ${this.name} may be stored in the Store.`);
+		const existing = this.get(hook.name);
+		if (existing) this.delete(existing);
+		super.set(hook.name, hook);
+		return hook;
+	}
+
+	// left for documentation
+	/* eslint-disable no-empty-function */
+	init() {}
+	load() {}
+	async loadAll() {}
+	resolve() {}
+	/* eslint-enable no-empty-function */
+
+}
+
+Store.applyToClass(HookStore);
+
+module.exports = HookStore;
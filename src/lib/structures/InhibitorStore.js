@@ -78,14 +78,27 @@ class InhibitorStore extends Collection {
 	 * @returns {void}
 	 */
 	async run(msg, cmd, selective = false) {
-		const mps = [];
-		for (const inhibitor of this.values()) if (inhibitor.enabled && (!selective || !inhibitor.spamProtection)) mps.push(inhibitor.run(msg, cmd).catch(err => err));
-		const results = (await Promise.all(mps)).filter(res => res);
-		if (results.includes(true)) throw undefined;
-		if (results.length > 0) throw results.join('\n');
+		const results = await this.check(msg, cmd, selective);
+		if (results.size > 0) throw InhibitorStore.response(results);
 		return undefined;
 	}
 
+	/**
+	 * Runs our inhibitors on the command, resolving to the responses of the inhibitors which inhibited it.
+	 * @since 0.4.0
+	 * @param  {external:Message} msg The message object from Discord.js
+	 * @param  {Command} cmd The command being ran.
+	 * @param  {boolean} [selective=false] Whether or not we should ignore certain inhibitors to prevent spam.
+	 * @returns {Promise<Map<string, (string|boolean)>>} The responses of the inhibitors which inhibited the command, keyed by inhibitor name
+	 */
+	async check(msg, cmd, selective = false) {
+		const mps = [];
+		for (const inhibitor of this.values()) {
+			if (inhibitor.enabled && (!selective || !inhibitor.spamProtection)) mps.push(inhibitor.run(msg, cmd).catch(err => err).then(res => [inhibitor.name, res]));
+		}
+		return new Map((await Promise.all(mps)).filter(([, res]) => res));
+	}
+
 	/**
 	 * Sets up a inhibitor in our store.
 	 * @since 0.0.1
@@ -100,6 +113,17 @@ class InhibitorStore extends Collection {
 		return inhibitor;
 	}
 
+	/**
+	 * Joins the responses of the inhibitors which inhibited a command into the response sent to the user.
+	 * @since 0.4.0
+	 * @param {Map<string, (string|boolean)>} results The responses of the inhibitors, keyed by inhibitor name
+	 * @returns {?string} The response, or undefined if an inhibitor inhibited the command silently
+	 */
+	static response(results) {
+		const responses = [...results.values()];
+		return responses.includes(true) ? undefined : responses.join('\n');
+	}
+
 	// left for documentation
 	/* eslint-disable no-empty-function */
 	init() {}
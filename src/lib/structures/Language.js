@@ -88,6 +88,37 @@ class Language {
 		return args.length > 0 ? this.language[term](...args) : this.language[term];
 	}
 
+	/**
+	 * A value which can differ by language: a language key, a map of values keyed by language name, a function taking
+	 * the language, or a plain value used for every language
+	 * @typedef {(string|Object<string, *>|Function)} LocalizableString
+	 * @memberof Language
+	 */
+
+	/**
+	 * Resolves a localizable value in this language, falling back to the default language for the keys and maps which
+	 * have no value in this language
+	 * @since 0.4.0
+	 * @param {LocalizableString} value The value to resolve
+	 * @returns {*}
+	 */
+	localize(value) {
+		const { default: fallback } = this.client.languages;
+		const languages = this.enabled ? [this, fallback] : [fallback];
+		if (typeof value === 'function') return value(languages[0]);
+		if (typeof value === 'string') {
+			const language = languages.find(lang => lang.language[value] !== undefined);
+			if (!language) return value;
+			const term = language.get(value);
+			return typeof term === 'function' ? term() : term;
+		}
+		if (value && typeof value === 'object' && !Array.isArray(value)) {
+			const language = languages.find(lang => value[lang.name] !== undefined);
+			return language ? value[language.name] : null;
+		}
+		return value;
+	}
+
 	/**
 	 * The init method to be optionaly overwritten in actual languages
 	 * @since 0.2.1
@@ -73,11 +73,15 @@ class MonitorStore extends Collection {
 	 * Runs our monitors on the message.
 	 * @since 0.0.1
 	 * @param  {external:Message} msg The message object from Discord.js
+	 * @returns {Promise<Array<*>>} Resolves once every monitor has finished running
 	 */
 	run(msg) {
+		const runs = [];
 		for (const monit of this.values()) {
-			if (monit.enabled && !(monit.ignoreBots && msg.author.bot) && !(monit.ignoreSelf && this.client.user === msg.author) && !(monit.ignoreOthers && this.client.user !== msg.author)) monit.run(msg);
+			if (!monit.enabled || (monit.ignoreBots && msg.author.bot) || (monit.ignoreSelf && this.client.user === msg.author) || (monit.ignoreOthers && this.client.user !== msg.author)) continue;
+			runs.push(monit.run(msg));
 		}
+		return Promise.all(runs);
 	}
 
 	/**
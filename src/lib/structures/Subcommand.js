@@ -0,0 +1,173 @@
+const ParsedUsage = require('../usage/ParsedUsage');
+
+/**
+ * Represents a subcommand of a {@link Command}, routed to by the first argument of the command input
+ */
+class Subcommand {
+
+	/**
+	 * @typedef {Object} SubcommandOptions
+	 * @memberof Subcommand
+	 * @property {string[]} [aliases=[]] Any subcommand aliases
+	 * @property {string} [method=theSubcommandName] The name of the command method this subcommand runs
+	 * @property {string[]} [runIn=command.runIn] What channel types the subcommand should run in
+	 * @property {number} [permLevel=command.permLevel] The required permission level to use the subcommand
+	 * @property {LocalizableString} [description=''] The help description for the subcommand
+	 * @property {string} [usage=''] The usage string for the subcommand
+	 * @property {?string} [usageDelim=command.usageDelim] The string to deliminate the subcommand input for usage
+	 * @property {boolean} [quotedStringSupport=command.quotedStringSupport] Whether args for this subcommand should not deliminated inside quotes
+	 * @property {Object<string, Function>} [validators=command.validators] Functions validating or transforming resolved args, keyed by the name of the usage possible
+	 * @property {Object<string, (string|Function)>} [prompts=command.prompts] The texts to reprompt missing args with, keyed by the name of the usage possible
+	 * @property {Object<string, LocalizableString>} [argDescriptions=command.argDescriptions] The descriptions of the args, keyed by the name of the usage possible
+	 * @property {Object<string, LocalizableString>} [argNames=command.argNames] The names the args are shown with in help, keyed by the name of the usage possible
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {Command} command The command this subcommand belongs to
+	 * @param {string} name The name of the subcommand
+	 * @param {SubcommandOptions} [options = {}] Optional Subcommand settings
+	 */
+	constructor(command, name, options = {}) {
+		/**
+		 * The command this subcommand belongs to
+		 * @since 0.4.0
+		 * @name Subcommand#command
+		 * @type {Command}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'command', { value: command });
+
+		/**
+		 * The name of the subcommand
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.name = name.toLowerCase();
+
+		/**
+		 * The aliases for this subcommand
+		 * @since 0.4.0
+		 * @type {string[]}
+		 */
+		this.aliases = (options.aliases || []).map(alias => alias.toLowerCase());
+
+		/**
+		 * The name of the command method this subcommand runs
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.method = options.method || name;
+
+		/**
+		 * What channels the subcommand should run in
+		 * @since 0.4.0
+		 * @type {string[]}
+		 */
+		this.runIn = options.runIn || command.runIn;
+
+		/**
+		 * The required permLevel to run this subcommand
+		 * @since 0.4.0
+		 * @type {number}
+		 */
+		this.permLevel = 'permLevel' in options ? options.permLevel : command.permLevel;
+
+		/**
+		 * The description of the subcommand, resolved with {@link Language#localize}
+		 * @since 0.4.0
+		 * @type {LocalizableString}
+		 */
+		this.description = options.description || '';
+
+		/**
+		 * The usage string for the subcommand
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.usageString = options.usage || '';
+
+		/**
+		 * The usage deliminator for the subcommand input
+		 * @since 0.4.0
+		 * @type {?string}
+		 */
+		this.usageDelim = 'usageDelim' in options ? options.usageDelim : command.usageDelim;
+
+		/**
+		 * Whether to use quoted string support for this subcommand or not
+		 * @since 0.4.0
+		 * @type {boolean}
+		 */
+		this.quotedStringSupport = 'quotedStringSupport' in options ? options.quotedStringSupport : command.quotedStringSupport;
+
+		/**
+		 * The functions run on resolved args, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, Function>}
+		 */
+		this.validators = options.validators || command.validators;
+
+		/**
+		 * The texts to reprompt missing args with, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, (string|Function)>}
+		 */
+		this.prompts = options.prompts || command.prompts;
+
+		/**
+		 * The descriptions of the args, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, LocalizableString>}
+		 */
+		this.argDescriptions = options.argDescriptions || command.argDescriptions;
+
+		/**
+		 * The names the args are shown with in help, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, LocalizableString>}
+		 */
+		this.argNames = options.argNames || command.argNames;
+
+		if (Subcommand.reserved.includes(this.method)) throw `Subcommand ${this.name} cannot use the reserved method name ${this.method}.`;
+		if (typeof command[this.method] !== 'function') throw `Subcommand ${this.name} has no ${this.method} method in the command ${command.name}.`;
+
+		/**
+		 * The parsed usage for the subcommand
+		 * @since 0.4.0
+		 * @type {ParsedUsage}
+		 */
+		this.usage = new ParsedUsage(command.client, this);
+	}
+
+	/**
+	 * Runs this subcommand's method on the command
+	 * @since 0.4.0
+	 * @param {CommandMessage} msg The command message mapped on top of the message used to trigger this subcommand
+	 * @param {any[]} params The fully resolved parameters based on the subcommand usage / usageDelim
+	 * @param {CommandSignal} signal The signal cancelled when the command times out or its message is deleted
+	 * @returns {Promise<any>}
+	 */
+	run(msg, params, signal) {
+		return this.command[this.method](msg, params, signal);
+	}
+
+	/**
+	 * Defines toString behavior for subcommands
+	 * @since 0.4.0
+	 * @returns {string} The command and subcommand name
+	 */
+	toString() {
+		return `${this.command.name} ${this.name}`;
+	}
+
+}
+
+/**
+ * The command methods which cannot be used by subcommands
+ * @since 0.4.0
+ * @type {string[]}
+ */
+Subcommand.reserved = ['constructor', 'run', 'init', 'reload', 'unload', 'enable', 'disable', 'toString'];
+
+module.exports = Subcommand;
@@ -2,10 +2,12 @@ const { applyToClass } = require('../../util/util');
 
 /**
  * The common interface for all pieces
+ * @see Argument
  * @see Command
  * @see Event
  * @see Extendable
  * @see Finalizer
+ * @see Hook
  * @see Inhibitor
  * @see Language
  * @see Monitor
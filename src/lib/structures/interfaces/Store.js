@@ -4,10 +4,12 @@ const { applyToClass } = require('../../util/util');
 
 /**
  * The common interface for all stores
+ * @see ArgumentStore
  * @see CommandStore
  * @see EventStore
  * @see ExtendableStore
  * @see FinalizerStore
+ * @see HookStore
  * @see InhibitorStore
  * @see MonitorStore
  * @see ProviderStore
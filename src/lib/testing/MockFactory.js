@@ -0,0 +1,417 @@
+const { EventEmitter } = require('events');
+const Discord = require('discord.js');
+const { Collection, Permissions } = Discord;
+
+/**
+ * Builds in-memory users, guilds, roles, members, channels and messages for a {@link TestClient}. The mocks share the
+ * prototypes of the discord.js structures, so extendables and instanceof checks work on them, but never reach Discord:
+ * everything they send, edit or delete is recorded in the output of the client instead.
+ * @extends EventEmitter
+ */
+class MockFactory extends EventEmitter {
+
+	/**
+	 * @typedef {Object} MockOutput
+	 * @memberof MockFactory
+	 * @property {string} type The kind of output, one of send, edit or delete
+	 * @property {external:Channel} channel The channel the output happened in
+	 * @property {?(string|string[])} content The content sent or edited in, as given to discord.js
+	 * @property {Object} options The message options sent or edited in, as given to discord.js
+	 * @property {external:Message} message The message sent, edited or deleted
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {TestClient} client The test client the mocks are built for
+	 */
+	constructor(client) {
+		super();
+
+		/**
+		 * The test client this MockFactory was created with.
+		 * @since 0.4.0
+		 * @name MockFactory#client
+		 * @type {TestClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * Everything the mocks sent, edited or deleted, in order
+		 * @since 0.4.0
+		 * @type {MockOutput[]}
+		 */
+		this.output = [];
+
+		/**
+		 * The message collectors waiting in each channel, keyed by channel id
+		 * @since 0.4.0
+		 * @type {Map<string, Object[]>}
+		 * @private
+		 */
+		this.collectors = new Map();
+
+		/**
+		 * The promises waiting for a collector to open in each channel, keyed by channel id
+		 * @since 0.4.0
+		 * @type {Map<string, Function[]>}
+		 * @private
+		 */
+		this.waiting = new Map();
+
+		/**
+		 * How many ids have been generated
+		 * @since 0.4.0
+		 * @type {number}
+		 * @private
+		 */
+		this.ids = 0;
+	}
+
+	/**
+	 * Generates a new unique snowflake-like id
+	 * @since 0.4.0
+	 * @returns {string}
+	 */
+	id() {
+		return `1${String(++this.ids).padStart(17, '0')}`;
+	}
+
+	/**
+	 * Builds a user, with a direct message channel, and caches it in the client
+	 * @since 0.4.0
+	 * @param {Object} [data={}] The data of the user
+	 * @param {string} [data.id] The id of the user
+	 * @param {string} [data.username='User'] The username of the user
+	 * @param {string} [data.discriminator='0001'] The discriminator of the user
+	 * @param {boolean} [data.bot=false] Whether the user is a bot
+	 * @returns {external:User}
+	 */
+	user({ id = this.id(), username = 'User', discriminator = '0001', bot = false } = {}) {
+		const user = this.directMessages(MockFactory.create(Discord.User, { client: this.client, id, username, discriminator, bot, avatar: null }));
+		this.client.users.set(id, user);
+		this.client.channels.set(user.dmChannel.id, user.dmChannel);
+		return user;
+	}
+
+	/**
+	 * Mocks an existing text channel or user, so what is sent to it is recorded instead of reaching Discord. The mock
+	 * inherits everything else from the structure, and is not cached in the client
+	 * @since 0.4.0
+	 * @param {(external:TextChannel|external:DMChannel|external:User)} structure The channel or user to mock
+	 * @returns {(external:TextChannel|external:DMChannel|external:User)}
+	 */
+	proxy(structure) {
+		const mock = Object.create(structure);
+		if (structure instanceof Discord.User) return this.directMessages(mock, structure.dmChannel ? structure.dmChannel.id : this.id());
+		this.textBased(mock);
+		return mock;
+	}
+
+	/**
+	 * Builds a guild, with the bot as a member, and caches it in the client
+	 * @since 0.4.0
+	 * @param {Object} [data={}] The data of the guild
+	 * @param {string} [data.id] The id of the guild
+	 * @param {string} [data.name='Guild'] The name of the guild
+	 * @param {external:User} [data.owner=this.client.owner] The owner of the guild
+	 * @returns {external:Guild}
+	 */
+	guild({ id = this.id(), name = 'Guild', owner = this.client.owner } = {}) {
+		const members = MockFactory.cache();
+		const guild = MockFactory.create(Discord.Guild, {
+			client: this.client,
+			id,
+			name,
+			available: true,
+			ownerID: owner.id,
+			members,
+			roles: new Collection(),
+			channels: new Collection()
+		});
+		Object.defineProperties(guild, {
+			me: { get: () => members.get(this.client.user.id), configurable: true },
+			owner: { get: () => members.get(guild.ownerID), configurable: true }
+		});
+		MockFactory.assign(guild, { member: user => members.get(typeof user === 'string' ? user : user.id) || null });
+		// The @everyone role shares the id of the guild
+		this.role(guild, { id, name: '@everyone', permissions: 0 });
+		this.member(guild, owner);
+		this.member(guild, this.client.user, { permissions: TestBotPermissions });
+		this.client.guilds.set(id, guild);
+		return guild;
+	}
+
+	/**
+	 * Builds a role in a guild
+	 * @since 0.4.0
+	 * @param {external:Guild} guild The guild of the role
+	 * @param {Object} [data={}] The data of the role
+	 * @param {string} [data.id] The id of the role
+	 * @param {string} [data.name='Role'] The name of the role
+	 * @param {PermissionResolvable} [data.permissions=0] The permissions the role gives
+	 * @returns {external:Role}
+	 */
+	role(guild, { id = this.id(), name = 'Role', permissions = 0 } = {}) {
+		const role = MockFactory.create(Discord.Role, { client: this.client, guild, id, name, position: guild.roles.size, permissions: new Permissions(permissions) });
+		guild.roles.set(id, role);
+		return role;
+	}
+
+	/**
+	 * Builds the member of a user in a guild. The permissions of the member are the ones given, plus the ones of its
+	 * roles, or all of them for the owner of the guild. Channel permission overwrites are not mocked
+	 * @since 0.4.0
+	 * @param {external:Guild} guild The guild of the member
+	 * @param {external:User} user The user of the member
+	 * @param {Object} [data={}] The data of the member
+	 * @param {external:Role[]} [data.roles=[]] The roles of the member
+	 * @param {PermissionResolvable} [data.permissions=0] The permissions of the member, besides the ones of its roles
+	 * @param {?string} [data.nickname=null] The nickname of the member
+	 * @returns {external:GuildMember}
+	 */
+	member(guild, user, { roles = [], permissions = 0, nickname = null } = {}) {
+		const everyone = guild.roles.get(guild.id);
+		const memberPermissions = user.id === guild.ownerID ?
+			new Permissions(Permissions.ALL) :
+			new Permissions(permissions).add(...[everyone, ...roles].map(role => role.permissions));
+		const member = MockFactory.create(Discord.GuildMember, {
+			client: this.client,
+			guild,
+			user,
+			id: user.id,
+			nickname,
+			displayName: nickname || user.username,
+			roles: new Collection([everyone, ...roles].map(role => [role.id, role])),
+			permissions: memberPermissions
+		});
+		MockFactory.assign(member, { send: (content, options) => user.send(content, options) });
+		guild.members.set(user.id, member);
+		return member;
+	}
+
+	/**
+	 * Builds a text channel in a guild, and caches it in the client
+	 * @since 0.4.0
+	 * @param {external:Guild} guild The guild of the channel
+	 * @param {Object} [data={}] The data of the channel
+	 * @param {string} [data.id] The id of the channel
+	 * @param {string} [data.name='general'] The name of the channel
+	 * @param {boolean} [data.nsfw=false] Whether the channel is nsfw
+	 * @returns {external:TextChannel}
+	 */
+	textChannel(guild, { id = this.id(), name = 'general', nsfw = false } = {}) {
+		const channel = MockFactory.create(Discord.TextChannel, { client: this.client, guild, id, name, nsfw, type: 'text' });
+		this.textBased(channel);
+		MockFactory.assign(channel, {
+			permissionsFor: (target) => {
+				const member = guild.members.get(typeof target === 'string' ? target : target.id);
+				return member ? member.permissions : new Permissions(0);
+			}
+		});
+		guild.channels.set(id, channel);
+		this.client.channels.set(id, channel);
+		return channel;
+	}
+
+	/**
+	 * Builds a message, without sending it anywhere
+	 * @since 0.4.0
+	 * @param {external:Channel} channel The channel the message is in
+	 * @param {external:User} author The author of the message
+	 * @param {?string} [content=''] The content of the message
+	 * @param {Object} [options={}] The embed and files of the message
+	 * @returns {external:Message}
+	 */
+	message(channel, author, content = '', options = {}) {
+		const guild = channel.guild || null;
+		const message = MockFactory.create(Discord.Message, {
+			client: this.client,
+			id: this.id(),
+			channel,
+			guild,
+			author,
+			member: guild ? guild.members.get(author.id) || null : null,
+			content: Array.isArray(content) ? content.join('\n') : content || '',
+			embeds: options.embed ? [options.embed] : [],
+			attachments: new Collection(),
+			reactions: new Collection(),
+			createdTimestamp: Date.now(),
+			editedTimestamp: null,
+			deleted: false
+		});
+		MockFactory.assign(message, {
+			edit: async (newContent, newOptions) => {
+				if (!newOptions && newContent && typeof newContent === 'object' && !Array.isArray(newContent)) [newContent, newOptions] = ['', newContent];
+				newOptions = newOptions || {};
+				message.content = Array.isArray(newContent) ? newContent.join('\n') : newContent || '';
+				if (newOptions.embed !== undefined) message.embeds = newOptions.embed ? [newOptions.embed] : [];
+				message.editedTimestamp = Date.now();
+				this.record({ type: 'edit', channel, content: newContent, options: newOptions, message });
+				return message;
+			},
+			delete: async () => {
+				message.deleted = true;
+				channel.messages.delete(message.id);
+				this.record({ type: 'delete', channel, content: null, options: {}, message });
+				return message;
+			}
+		});
+		channel.messages.set(message.id, message);
+		return message;
+	}
+
+	/**
+	 * Feeds a message to the collectors waiting in its channel, like the prompts of commands
+	 * @since 0.4.0
+	 * @param {external:Message} message The message to collect
+	 * @returns {boolean} Whether a collector collected the message
+	 */
+	collect(message) {
+		const collectors = this.collectors.get(message.channel.id);
+		if (!collectors) return false;
+		let collected = false;
+		for (const collector of collectors.slice()) {
+			if (!collector.filter(message, collector.collected)) continue;
+			collected = true;
+			collector.collected.set(message.id, message);
+			if (collector.collected.size >= collector.max) collector.end();
+		}
+		return collected;
+	}
+
+	/**
+	 * Resolves once a message collector, like the prompt of a command, waits in a channel
+	 * @since 0.4.0
+	 * @param {external:Channel} channel The channel to wait for a collector in
+	 * @returns {Promise<void>}
+	 */
+	awaitCollector(channel) {
+		if (this.collectors.has(channel.id) && this.collectors.get(channel.id).length) return Promise.resolve();
+		return new Promise(resolve => {
+			if (!this.waiting.has(channel.id)) this.waiting.set(channel.id, []);
+			this.waiting.get(channel.id).push(resolve);
+		});
+	}
+
+	/**
+	 * Records an output of the mocks
+	 * @since 0.4.0
+	 * @param {MockOutput} entry The output to record
+	 * @returns {void}
+	 * @private
+	 */
+	record(entry) {
+		this.output.push(entry);
+		this.emit('output', entry);
+	}
+
+	/**
+	 * Gives a mocked user a mocked direct message channel, which records what is sent to the user
+	 * @since 0.4.0
+	 * @param {external:User} user The user to set up
+	 * @param {string} [id=this.id()] The id of the direct message channel
+	 * @returns {external:User} The user
+	 * @private
+	 */
+	directMessages(user, id = this.id()) {
+		const dmChannel = MockFactory.create(Discord.DMChannel, { client: this.client, id, type: 'dm', recipient: user });
+		this.textBased(dmChannel);
+		return MockFactory.assign(user, { dmChannel, send: (content, options) => dmChannel.send(content, options) });
+	}
+
+	/**
+	 * Gives a mocked channel the sending, typing and collecting methods of the text based channels
+	 * @since 0.4.0
+	 * @param {external:Channel} channel The channel to set up
+	 * @returns {void}
+	 * @private
+	 */
+	textBased(channel) {
+		MockFactory.assign(channel, {
+			messages: MockFactory.cache(),
+			send: async (content, options) => {
+				if (!options && content && typeof content === 'object' && !Array.isArray(content)) [content, options] = ['', content];
+				options = options || {};
+				const message = this.message(channel, this.client.user, content, options);
+				this.record({ type: 'send', channel, content, options, message });
+				return message;
+			},
+			startTyping: () => null,
+			stopTyping: () => null,
+			awaitMessages: (filter, { max = Infinity, time = Infinity, errors = [] } = {}) => new Promise((resolve, reject) => {
+				const collector = { filter, max, collected: new Collection() };
+				if (!this.collectors.has(channel.id)) this.collectors.set(channel.id, []);
+				this.collectors.get(channel.id).push(collector);
+				if (this.waiting.has(channel.id)) for (const waiting of this.waiting.get(channel.id).splice(0)) waiting();
+				const timer = time === Infinity ? null : this.client.setTimeout(() => collector.end('time'), time);
+				collector.end = (reason) => {
+					if (timer) this.client.clearTimeout(timer);
+					const collectors = this.collectors.get(channel.id);
+					collectors.splice(collectors.indexOf(collector), 1);
+					if (reason && errors.includes(reason)) reject(collector.collected);
+					else resolve(collector.collected);
+				};
+			})
+		});
+	}
+
+	/**
+	 * Creates an object sharing the prototype of a discord.js structure, without running its constructor
+	 * @since 0.4.0
+	 * @param {Function} Structure The discord.js structure to mock
+	 * @param {Object} properties The properties of the mock
+	 * @returns {Object}
+	 * @private
+	 */
+	static create(Structure, properties) {
+		return MockFactory.assign(Object.create(Structure.prototype), properties);
+	}
+
+	/**
+	 * Defines properties on a mock, shadowing the getters of its prototype with the same name
+	 * @since 0.4.0
+	 * @param {Object} mock The mock to define the properties on
+	 * @param {Object} properties The properties to define
+	 * @returns {Object} The mock
+	 * @private
+	 */
+	static assign(mock, properties) {
+		for (const [key, value] of Object.entries(properties)) Object.defineProperty(mock, key, { value, writable: true, enumerable: key !== 'client', configurable: true });
+		return mock;
+	}
+
+	/**
+	 * Creates a collection which fetches from itself, like the data stores of discord.js
+	 * @since 0.4.0
+	 * @returns {external:Collection}
+	 * @private
+	 */
+	static cache() {
+		const cache = new Collection();
+		cache.fetch = async (key) => {
+			const value = cache.get(typeof key === 'string' ? key : key.id);
+			if (!value) throw new Error('Unknown mock.');
+			return value;
+		};
+		return cache;
+	}
+
+}
+
+/**
+ * The permissions the bot has in the guilds it mocks. Reactions are left out, so the commands which would open a
+ * reaction menu fall back to text, which the mocks can record
+ * @type {string[]}
+ * @private
+ */
+const TestBotPermissions = ['VIEW_CHANNEL', 'SEND_MESSAGES', 'EMBED_LINKS', 'ATTACH_FILES', 'READ_MESSAGE_HISTORY', 'MANAGE_MESSAGES'];
+
+module.exports = MockFactory;
+
+/**
+ * Emitted when the mocks send, edit or delete a message.
+ * @event MockFactory#output
+ * @since 0.4.0
+ * @param {MockOutput} entry The output which was recorded
+ */
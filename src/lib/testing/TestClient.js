@@ -0,0 +1,153 @@
+const { tmpdir } = require('os');
+const { join } = require('path');
+const fs = require('fs-nextra');
+const KlasaClient = require('../Client');
+const Settings = require('../settings/SettingsCache');
+const MockFactory = require('./MockFactory');
+
+/**
+ * A client which never connects to Discord, to test commands, inhibitors, monitors and finalizers offline. Logging in
+ * loads every piece and builds a guild, a channel, the owner and the bot out of mocks, then messages are dispatched
+ * through the monitors as if they had been received, and everything the bot sends, edits or deletes is recorded.
+ * See {@tutorial TestingPieces} for more information on how to use it.
+ * @extends KlasaClient
+ * @tutorial TestingPieces
+ */
+class TestClient extends KlasaClient {
+
+	/**
+	 * @typedef {Object} DispatchOptions
+	 * @memberof TestClient
+	 * @property {external:User} [author=this.owner] The author of the message
+	 * @property {external:Channel} [channel=this.channel] The channel the message is sent in
+	 */
+
+	/**
+	 * @typedef {Object} DispatchResult
+	 * @memberof TestClient
+	 * @property {external:Message} message The message which was dispatched
+	 * @property {?Command} command The command the message ran, if any
+	 * @property {?string} status How the command ended, one of run, error or inhibited, or null if no command ran
+	 * @property {*} response What the command returned, the error it threw, or the response of the inhibitor which stopped it
+	 * @property {MockOutput[]} output Everything the bot sent, edited or deleted while the message was handled
+	 */
+
+	/**
+	 * Constructs the test client. The config defaults to the + prefix, no ready message and a temporary data directory,
+	 * removed when the client is destroyed
+	 * @since 0.4.0
+	 * @param {KlasaClientConfig} [config={}] The config to pass to the new client
+	 */
+	constructor(config = {}) {
+		super(Object.assign({ prefix: '+', readyMessage: null }, config));
+
+		/**
+		 * The factory the mocks of this client are built with
+		 * @since 0.4.0
+		 * @type {MockFactory}
+		 */
+		this.mocks = new MockFactory(this);
+
+		/**
+		 * The mocked guild messages are dispatched in by default
+		 * @since 0.4.0
+		 * @type {?external:Guild}
+		 */
+		this.guild = null;
+
+		/**
+		 * The mocked channel messages are dispatched in by default
+		 * @since 0.4.0
+		 * @type {?external:TextChannel}
+		 */
+		this.channel = null;
+
+		/**
+		 * Whether the data directory was created by this client, and should be removed when it is destroyed
+		 * @since 0.4.0
+		 * @type {boolean}
+		 * @private
+		 */
+		this.temporaryDataDir = !config.dataDir;
+	}
+
+	/**
+	 * Everything the bot sent, edited or deleted since the client logged in
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {MockOutput[]}
+	 */
+	get output() {
+		return this.mocks.output;
+	}
+
+	/**
+	 * Loads every piece, builds the mocked bot, owner, guild and channel, and initializes the client, without connecting
+	 * to Discord
+	 * @since 0.4.0
+	 * @returns {Promise<TestClient>} This client, once it is ready
+	 */
+	async login() {
+		if (this.temporaryDataDir) this.dataDir = await fs.mkdtemp(join(tmpdir(), 'klasa-'));
+		this.user = this.mocks.user({ username: 'Klasa', bot: true });
+		this.config.ownerID = this.mocks.user({ id: this.config.ownerID, username: 'Owner' }).id;
+		await Promise.all(this.pieceStores.map(store => store.loadAll()));
+		this.settings = new Settings(this);
+		this.guild = this.mocks.guild({ name: 'Test Guild' });
+		this.channel = this.mocks.textChannel(this.guild);
+		this.startREPL();
+		await this._ready();
+		return this;
+	}
+
+	/**
+	 * Returns the application of the mocked bot, instead of fetching it from Discord
+	 * @since 0.4.0
+	 * @returns {Promise<Object>}
+	 */
+	async fetchApplication() {
+		return { id: this.user.id, name: this.user.username, owner: this.owner, botPublic: false };
+	}
+
+	/**
+	 * Handles a message as if it had been received from Discord, feeding it to the prompts waiting in its channel and
+	 * running it through the monitors. If the command prompts for a missing argument, the promise only resolves once a
+	 * later message answers the prompt, or the prompt times out, see {@link MockFactory#awaitCollector}
+	 * @since 0.4.0
+	 * @param {string} content The content of the message
+	 * @param {DispatchOptions} [options={}] The author and channel of the message
+	 * @returns {Promise<DispatchResult>}
+	 */
+	async dispatch(content, { author = this.owner, channel = this.channel } = {}) {
+		const message = this.mocks.message(channel, author, content);
+		const result = { message, command: null, status: null, response: null, output: [] };
+		const start = this.output.length;
+		// commandInhibited is emitted without the parameters of the command
+		const listeners = Object.entries({ commandRun: 'run', commandError: 'error', commandInhibited: 'inhibited' })
+			.map(([event, status]) => [event, (msg, command, ...args) => {
+				if (msg.id === message.id) Object.assign(result, { command, status, response: status === 'inhibited' ? args[0] : args[1] });
+			}]);
+		for (const [event, listener] of listeners) this.on(event, listener);
+		try {
+			this.mocks.collect(message);
+			await this.monitors.run(message);
+		} finally {
+			for (const [event, listener] of listeners) this.removeListener(event, listener);
+		}
+		result.output = this.output.slice(start);
+		return result;
+	}
+
+	/**
+	 * Stops the timers of the client, and removes its data directory if it was a temporary one
+	 * @since 0.4.0
+	 * @returns {void}
+	 */
+	async destroy() {
+		super.destroy();
+		if (this.temporaryDataDir && this.dataDir) await fs.remove(this.dataDir);
+	}
+
+}
+
+module.exports = TestClient;
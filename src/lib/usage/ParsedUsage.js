@@ -1,4 +1,6 @@
 const Tag = require('./Tag');
+const { formatDuration } = require('../util/util');
+const durationLimitTypes = ['duration', 'date'];
 
 /**
  * Converts usage strings into objects to compare against later
@@ -8,7 +10,7 @@ class ParsedUsage {
 	/**
 	 * @since 0.0.1
 	 * @param {KlasaClient} client The klasa client
-	 * @param {Command} command The command this parsed usage is for
+	 * @param {(Command|Subcommand)} command The command or subcommand this parsed usage is for
 	 */
 	constructor(client, command) {
 		/**
@@ -33,6 +35,7 @@ class ParsedUsage {
 		 * @type {string}
 		 */
 		this.commands = this.names.length === 1 ? this.names[0] : `(${this.names.join('|')})`;
+		if (command.command) this.commands = `${command.command.usage.commands} ${this.commands}`;
 
 		/**
 		 * The usage string re-deliminated with the usageDelim
@@ -55,6 +58,20 @@ class ParsedUsage {
 		 */
 		this.parsedUsage = this.constructor.parseUsage(this.usageString);
 
+		/**
+		 * The descriptions of the args, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, LocalizableString>}
+		 */
+		this.argDescriptions = command.argDescriptions;
+
+		/**
+		 * The names the args are shown with in help, keyed by the name of the usage possible they are for
+		 * @since 0.4.0
+		 * @type {Object<string, LocalizableString>}
+		 */
+		this.argNames = command.argNames;
+
 		/**
 		 * The concatenated string of this.commands and this.deliminatedUsage
 		 * @since 0.0.1
@@ -64,14 +81,73 @@ class ParsedUsage {
 	}
 
 	/**
-	 * Creates a full usage string including prefix and commands/aliases for documentation/help purposes
+	 * Creates a full usage string including prefix and commands/aliases for documentation/help purposes, with the args
+	 * named in the language of the message
 	 * @since 0.0.1
 	 * @param {external:Message} msg a message to check to get the current prefix
 	 * @returns {string}
 	 */
 	fullUsage(msg) {
 		const { prefix } = msg.guildSettings;
-		return `${prefix.length !== 1 ? `${prefix} ` : prefix}${this.nearlyFullUsage}`;
+		const usage = Object.keys(this.argNames).length ?
+			this.deliminatedUsage.replace(/([<[|])([^<>[\]|:]+):/g, (match, open, name) => `${open}${this.argName(name, msg.language)}:`) :
+			this.deliminatedUsage;
+		return `${prefix.length !== 1 ? `${prefix} ` : prefix}${this.commands}${usage}`;
+	}
+
+	/**
+	 * Returns the name an arg is shown with in a language
+	 * @since 0.4.0
+	 * @param {string} name The name of the usage possible
+	 * @param {Language} language The language to name the arg in
+	 * @returns {string}
+	 */
+	argName(name, language) {
+		return (this.argNames[name] && language.localize(this.argNames[name])) || name;
+	}
+
+	/**
+	 * Describes each tag of the usage in a human-readable way, with its possibles, whether it is required, its bounds and its description
+	 * @since 0.4.0
+	 * @param {Language} language The language to describe the usage in
+	 * @returns {string[]}
+	 */
+	breakdown(language) {
+		return this.parsedUsage.map(tag => tag.type === 'repeat' ? language.get('USAGE_REPEAT') : this.describeTag(tag, language));
+	}
+
+	/**
+	 * Describes a tag of the usage in a human-readable way
+	 * @since 0.4.0
+	 * @param {Tag} tag The tag to describe
+	 * @param {Language} language The language to describe the tag in
+	 * @returns {string}
+	 */
+	describeTag(tag, language) {
+		const details = [language.get(tag.type === 'required' ? 'USAGE_REQUIRED' : 'USAGE_OPTIONAL')];
+		if (tag.default !== null) details.push(language.get('USAGE_DEFAULT', tag.default));
+		const possibles = tag.possibles.map(possible => ParsedUsage.describePossible(possible, language, this.argName(possible.name, language))).join(' | ');
+		const description = tag.possibles.map(possible => this.argDescriptions[possible.name] && language.localize(this.argDescriptions[possible.name])).find(desc => desc);
+		return `${possibles} (${details.join(', ')})${description ? ` - ${description}` : ''}`;
+	}
+
+	/**
+	 * Describes a possible of a tag in a human-readable way
+	 * @since 0.4.0
+	 * @param {Possible} possible The possible to describe
+	 * @param {Language} language The language to describe the possible in
+	 * @param {string} [name=possible.name] The name to show the possible with
+	 * @returns {string}
+	 */
+	static describePossible(possible, language, name = possible.name) {
+		if (possible.type === 'literal') return `"${possible.name}"`;
+		const details = [`${name}: ${possible.type}`];
+		if (possible.min !== null || possible.max !== null) {
+			const [min, max] = [possible.min, possible.max].map(limit => limit !== null && durationLimitTypes.includes(possible.type) ? formatDuration(limit) : limit);
+			details.push(language.get('USAGE_BOUNDS', min, max));
+		}
+		if (possible.regex) details.push(language.get('USAGE_REGEX', possible.regex));
+		return details.join(' ');
 	}
 
 	/**
@@ -1,4 +1,6 @@
-const minMaxTypes = ['str', 'string', 'num', 'number', 'float', 'int', 'integer'];
+const { parseDuration } = require('../util/util');
+const minMaxTypes = ['str', 'string', 'num', 'number', 'float', 'int', 'integer', 'duration', 'date'];
+const durationLimitTypes = ['duration', 'date'];
 const regexTypes = ['reg', 'regex', 'regexp'];
 
 /**
@@ -30,14 +32,14 @@ class Possible {
 		 * @since 0.2.1
 		 * @type {?number}
 		 */
-		this.min = minMaxTypes.includes(this.type) && min ? Possible.resolveLimit(min, 'min') : null;
+		this.min = minMaxTypes.includes(this.type) && min ? Possible.resolveLimit(min, 'min', this.type) : null;
 
 		/**
 		 * The max of this possible
 		 * @since 0.2.1
 		 * @type {?number}
 		 */
-		this.max = minMaxTypes.includes(this.type) && max ? Possible.resolveLimit(max, 'max') : null;
+		this.max = minMaxTypes.includes(this.type) && max ? Possible.resolveLimit(max, 'max', this.type) : null;
 
 		/**
 		 * The regex of this possible
@@ -54,9 +56,15 @@ class Possible {
 	 * @since 0.2.1
 	 * @param {string} limit The limit to evaluate
 	 * @param {string} type The type of limit
+	 * @param {string} possibleType The type of the possible, durations are accepted as limits for duration and date types
 	 * @returns {number}
 	 */
-	static resolveLimit(limit, type) {
+	static resolveLimit(limit, type, possibleType) {
+		if (durationLimitTypes.includes(possibleType) && isNaN(limit)) {
+			const duration = parseDuration(limit);
+			if (duration === null) throw `${type} must be a number or a duration`;
+			return duration;
+		}
 		if (isNaN(limit)) throw `${type} must be a number`;
 		const tempMin = parseFloat(limit);
 		if (['str', 'string', 'int', 'integer'].includes(type) && tempMin % 1 !== 0) throw `${type} must be an integer for this type.`;
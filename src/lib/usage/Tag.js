@@ -12,6 +12,8 @@ class Tag {
 	 * @param {boolean} required The type of tag (required or optional)
 	 */
 	constructor(members, count, required) {
+		const [trueMembers, defaultValue] = Tag.parseDefault(members, count, required);
+
 		/**
 		 * The type of this tag
 		 * @since 0.2.1
@@ -24,7 +26,35 @@ class Tag {
 		 * @since 0.2.1
 		 * @type {Possible[]}
 		 */
-		this.possibles = Tag.parseMembers(members, count);
+		this.possibles = Tag.parseMembers(trueMembers, count);
+
+		/**
+		 * The raw default value of this tag, resolved like a given argument when the tag is omitted
+		 * @since 0.4.0
+		 * @type {?string}
+		 */
+		this.default = defaultValue;
+	}
+
+	/**
+	 * Splits the default value off the tag contents
+	 * @since 0.4.0
+	 * @param {string} members The tag contents to parse
+	 * @param {number} count The position of the tag in the usage string
+	 * @param {boolean} required The type of tag (required or optional)
+	 * @returns {Array<?string>} The tag contents without the default value, and the default value
+	 */
+	static parseDefault(members, count, required) {
+		let regex = false;
+		for (let i = 0; i < members.length; i++) {
+			if (members[i] === '/') regex = !regex;
+			if (members[i] !== '=' || regex) continue;
+			const defaultValue = members.slice(i + 1);
+			if (required) throw `${members}: at tag #${count}: required tags cannot have a default value`;
+			if (!defaultValue) throw `${members}: at tag #${count}: empty default value`;
+			return [members.slice(0, i), defaultValue];
+		}
+		return [members, null];
 	}
 
 	/**
@@ -0,0 +1,33 @@
+/**
+ * The error an argument search rejects with when several candidates match and the user does not pick one of them, so the
+ * arg is not treated as not matching the type of its possible
+ * @extends Error
+ */
+class AmbiguousArgumentError extends Error {
+
+	/**
+	 * @since 0.4.0
+	 * @param {string} message The localized message to show the user
+	 * @param {Possible} possible The possible of the usage tag being resolved
+	 */
+	constructor(message, possible) {
+		super(message);
+
+		/**
+		 * The name of this error
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.name = 'AmbiguousArgumentError';
+
+		/**
+		 * The possible of the usage tag being resolved
+		 * @since 0.4.0
+		 * @type {Possible}
+		 */
+		this.possible = possible;
+	}
+
+}
+
+module.exports = AmbiguousArgumentError;
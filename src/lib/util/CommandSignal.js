@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+
+/**
+ * The cancellation signal passed to the run method of commands, cancelled when the command times out or when the message
+ * which triggered it is deleted, so long-running commands can stop cleanly
+ * @extends EventEmitter
+ */
+class CommandSignal extends EventEmitter {
+
+	/**
+	 * Emitted when the signal is cancelled.
+	 * @event CommandSignal#cancel
+	 * @param {string} reason Why the command was cancelled, either timeout or deleted
+	 */
+
+	/**
+	 * @since 0.4.0
+	 */
+	constructor() {
+		super();
+
+		/**
+		 * Why the command was cancelled, either timeout or deleted, or null if it was not cancelled
+		 * @since 0.4.0
+		 * @type {?string}
+		 */
+		this.reason = null;
+	}
+
+	/**
+	 * Whether the command was cancelled
+	 * @since 0.4.0
+	 * @readonly
+	 * @type {boolean}
+	 */
+	get cancelled() {
+		return this.reason !== null;
+	}
+
+	/**
+	 * Cancels the command, if it was not cancelled already
+	 * @since 0.4.0
+	 * @param {string} reason Why the command is cancelled
+	 * @returns {boolean} Whether the signal was cancelled by this call
+	 */
+	cancel(reason) {
+		if (this.cancelled) return false;
+		this.reason = reason;
+		this.emit('cancel', reason);
+		return true;
+	}
+
+}
+
+module.exports = CommandSignal;
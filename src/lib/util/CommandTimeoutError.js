@@ -0,0 +1,39 @@
+/**
+ * The error commandError is emitted with when a command takes longer to run than its timeout
+ * @extends Error
+ */
+class CommandTimeoutError extends Error {
+
+	/**
+	 * @since 0.4.0
+	 * @param {Command} command The command which timed out
+	 * @param {number} timeout The timeout of the command in milliseconds
+	 */
+	constructor(command, timeout) {
+		super(`The command ${command.name} did not finish running within ${timeout}ms.`);
+
+		/**
+		 * The name of this error
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.name = 'CommandTimeoutError';
+
+		/**
+		 * The command which timed out
+		 * @since 0.4.0
+		 * @type {Command}
+		 */
+		this.command = command;
+
+		/**
+		 * The timeout of the command in milliseconds
+		 * @since 0.4.0
+		 * @type {number}
+		 */
+		this.timeout = timeout;
+	}
+
+}
+
+module.exports = CommandTimeoutError;
@@ -0,0 +1,75 @@
+const { getBucket } = require('./util');
+
+/**
+ * Tracks how many times each command is running at once, in buckets shared by a user, member, channel, guild or everyone
+ */
+class ConcurrencyManager {
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa client
+	 */
+	constructor(client) {
+		/**
+		 * The client this ConcurrencyManager was created with.
+		 * @since 0.4.0
+		 * @name ConcurrencyManager#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * How many runs of each command are holding a slot, keyed by command name and then by bucket
+		 * @since 0.4.0
+		 * @type {Map<string, Map<string, number>>}
+		 */
+		this.running = new Map();
+
+		/**
+		 * The command and bucket of the slots held by the messages running a command
+		 * @since 0.4.0
+		 * @type {WeakMap<external:Message, Object>}
+		 * @private
+		 */
+		this.held = new WeakMap();
+	}
+
+	/**
+	 * Takes a slot for a message to run a command in, if the concurrency limit of the command allows it
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command is run with
+	 * @param {Command} command The command being run
+	 * @returns {boolean} Whether a slot was free
+	 */
+	acquire(msg, command) {
+		if (!command.concurrency || this.held.has(msg)) return true;
+		const bucket = getBucket(msg, command.concurrencyScope);
+		if (!this.running.has(command.name)) this.running.set(command.name, new Map());
+		const buckets = this.running.get(command.name);
+		const count = buckets.get(bucket) || 0;
+		if (count >= command.concurrency) return false;
+		buckets.set(bucket, count + 1);
+		this.held.set(msg, { name: command.name, bucket });
+		return true;
+	}
+
+	/**
+	 * Frees the slot a message took to run a command, if it took one
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message the command was run with
+	 * @returns {void}
+	 */
+	release(msg) {
+		const slot = this.held.get(msg);
+		if (!slot) return;
+		this.held.delete(msg);
+		const buckets = this.running.get(slot.name);
+		const count = buckets.get(slot.bucket) - 1;
+		if (count > 0) buckets.set(slot.bucket, count);
+		else buckets.delete(slot.bucket);
+	}
+
+}
+
+module.exports = ConcurrencyManager;
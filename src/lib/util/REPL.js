@@ -0,0 +1,227 @@
+const readline = require('readline');
+const MockFactory = require('../testing/MockFactory');
+
+/**
+ * Runs the commands typed in the terminal as if the owner sent them in a channel, printing the responses with the
+ * {@link KlasaConsole} instead of sending them to Discord. Lines are typed without a prefix and go through the command
+ * handler, so they are parsed, inhibited and run like any other message, and answer the prompts of the commands
+ * waiting for one. Combined with a {@link TestClient}, commands can be run without connecting to Discord.
+ */
+class REPL {
+
+	/**
+	 * @typedef {Object} REPLOptions
+	 * @memberof REPL
+	 * @property {(external:Guild|string)} [guild] The guild to run the commands in, in its first text channel
+	 * @property {(external:TextChannel|string)} [channel] The channel to run the commands in, taking precedence over the guild
+	 * @property {ReadableStream} [input=process.stdin] The stream the commands are read from
+	 * @property {string} [prompt='> '] The prompt shown before each command
+	 */
+
+	/**
+	 * @since 0.4.0
+	 * @param {KlasaClient} client The Klasa client
+	 * @param {REPLOptions} [options={}] The options for this REPL
+	 */
+	constructor(client, { guild = null, channel = null, input = process.stdin, prompt = '> ' } = {}) {
+		/**
+		 * The client this REPL was created with.
+		 * @since 0.4.0
+		 * @name REPL#client
+		 * @type {KlasaClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * The mocks recording what the commands send, shared with the client when it is a test client
+		 * @since 0.4.0
+		 * @type {MockFactory}
+		 */
+		this.mocks = client.mocks instanceof MockFactory ? client.mocks : new MockFactory(client);
+
+		/**
+		 * The mocked channel the commands are run in, which inherits everything but sending from the real one, once the
+		 * client is ready
+		 * @since 0.4.0
+		 * @type {?external:TextChannel}
+		 */
+		this.channel = null;
+
+		/**
+		 * The mocked owner the commands are run as, so what is sent to them directly is recorded instead of reaching
+		 * Discord, once the client is ready
+		 * @since 0.4.0
+		 * @type {?external:User}
+		 */
+		this.author = null;
+
+		/**
+		 * The channel and guild given in the options, resolved once the client is ready
+		 * @since 0.4.0
+		 * @type {{ channel: ?(external:TextChannel|string), guild: ?(external:Guild|string) }}
+		 * @private
+		 */
+		this.target = { channel, guild };
+
+		/**
+		 * The stream the commands are read from
+		 * @since 0.4.0
+		 * @type {ReadableStream}
+		 */
+		this.input = input;
+
+		/**
+		 * The prompt shown before each command
+		 * @since 0.4.0
+		 * @type {string}
+		 */
+		this.prompt = prompt;
+
+		/**
+		 * The readline interface reading the commands, while the REPL is started
+		 * @since 0.4.0
+		 * @type {?Interface}
+		 * @private
+		 */
+		this.interface = null;
+
+		this.print = this.print.bind(this);
+	}
+
+	/**
+	 * Starts reading commands from the input. The REPL can be started before the client is ready, the commands typed
+	 * until then are rejected
+	 * @since 0.4.0
+	 * @returns {REPL} This REPL
+	 */
+	start() {
+		if (this.interface) return this;
+		this.mocks.on('output', this.print);
+		this.interface = readline.createInterface({ input: this.input, output: this.client.console.stdout, prompt: this.prompt });
+		this.interface.on('line', line => this.run(line)
+			.catch(err => this.client.emit('error', err))
+			.then(() => { if (this.interface) this.interface.prompt(); }));
+		this.interface.on('close', () => this.stop());
+		this.interface.prompt();
+		return this;
+	}
+
+	/**
+	 * Stops reading commands from the input
+	 * @since 0.4.0
+	 * @returns {REPL} This REPL
+	 */
+	stop() {
+		if (!this.interface) return this;
+		const rl = this.interface;
+		this.interface = null;
+		this.mocks.removeListener('output', this.print);
+		rl.close();
+		return this;
+	}
+
+	/**
+	 * Runs a line as a command sent by the owner, or as the answer to the prompt of a command
+	 * @since 0.4.0
+	 * @param {string} line The line to run, without a prefix
+	 * @returns {void}
+	 */
+	async run(line) {
+		const content = line.trim();
+		if (!content) return;
+		if (!this.client.ready) {
+			this.client.console.warn('The client is not ready, the commands can only be run once it is. Use a TestClient to run them without connecting.');
+			return;
+		}
+		await this.resolveTarget();
+		const msg = this.mocks.message(this.channel, this.author, content);
+		if (this.mocks.collect(msg)) return;
+		const handler = this.client.monitors.get('commandHandler');
+		const name = content.split(' ')[0].toLowerCase();
+		const cmdMsg = handler.getCommandMessage(msg, name, null, 0);
+		if (!cmdMsg) {
+			this.client.console.warn(`Unknown command: ${name}`);
+			return;
+		}
+		await handler.handle(msg, cmdMsg);
+	}
+
+	/**
+	 * Resolves the channel the commands are run in and the owner they are run as, once the client is ready
+	 * @since 0.4.0
+	 * @returns {void}
+	 * @private
+	 */
+	async resolveTarget() {
+		if (!this.channel) this.channel = this.mocks.proxy(this.resolveChannel(this.target.channel, this.target.guild));
+		if (!this.author) this.author = this.mocks.proxy(this.client.owner || await this.client.users.fetch(this.client.config.ownerID));
+	}
+
+	/**
+	 * Prints what the commands sent in the channel of this REPL, or in direct messages
+	 * @since 0.4.0
+	 * @param {MockOutput} entry The output to print
+	 * @returns {void}
+	 * @private
+	 */
+	print(entry) {
+		if (entry.type === 'delete' || (entry.channel !== this.channel && entry.channel.type !== 'dm')) return;
+		const text = this.constructor.format(entry);
+		if (text) this.client.console.log(entry.channel.type === 'dm' ? `[DM] ${text}` : text);
+	}
+
+	/**
+	 * Resolves the channel the commands are run in
+	 * @since 0.4.0
+	 * @param {?(external:TextChannel|string)} channel The channel given in the options
+	 * @param {?(external:Guild|string)} guild The guild given in the options
+	 * @returns {external:TextChannel}
+	 * @private
+	 */
+	resolveChannel(channel, guild) {
+		if (channel) {
+			const resolved = typeof channel === 'string' ? this.client.channels.get(channel) : channel;
+			if (!resolved || resolved.type !== 'text') throw new Error('The REPL channel must be a text channel the client can see.');
+			return resolved;
+		}
+		if (guild) {
+			const resolved = typeof guild === 'string' ? this.client.guilds.get(guild) : guild;
+			const textChannel = resolved && resolved.channels.find(chan => chan.type === 'text');
+			if (!textChannel) throw new Error('The REPL guild must be a guild with a text channel the client can see.');
+			return textChannel;
+		}
+		// Test clients have a default channel to run commands in
+		if (this.client.channel) return this.client.channel;
+		throw new Error('The REPL needs a guild or a channel to run commands in.');
+	}
+
+	/**
+	 * Formats an output as text for the terminal
+	 * @since 0.4.0
+	 * @param {MockOutput} entry The output to format
+	 * @returns {string}
+	 */
+	static format({ content, options }) {
+		const lines = [];
+		if (content) lines.push(Array.isArray(content) ? content.join('\n') : String(content));
+		if (options.embed) lines.push(this.formatEmbed(options.embed));
+		if (options.files) for (const file of options.files) lines.push(`[File: ${file.name || file.attachment || file}]`);
+		return lines.join('\n');
+	}
+
+	/**
+	 * Formats an embed as text for the terminal
+	 * @since 0.4.0
+	 * @param {(external:MessageEmbed|Object)} embed The embed to format
+	 * @returns {string}
+	 */
+	static formatEmbed({ author, title, description, fields = [], footer }) {
+		return [author && author.name, title, description, ...fields.map(field => `${field.name}: ${field.value}`), footer && footer.text]
+			.filter(line => line)
+			.join('\n');
+	}
+
+}
+
+module.exports = REPL;
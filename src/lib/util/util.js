@@ -1,6 +1,15 @@
 const { promisify } = require('util');
 const { exec } = require('child_process');
 const zws = String.fromCharCode(8203);
+const durationUnits = new Map([
+	...['ms', 'msec', 'msecs', 'millisecond', 'milliseconds'].map(unit => [unit, 1]),
+	...['s', 'sec', 'secs', 'second', 'seconds'].map(unit => [unit, 1000]),
+	...['m', 'min', 'mins', 'minute', 'minutes'].map(unit => [unit, 1000 * 60]),
+	...['h', 'hr', 'hrs', 'hour', 'hours'].map(unit => [unit, 1000 * 60 * 60]),
+	...['d', 'day', 'days'].map(unit => [unit, 1000 * 60 * 60 * 24]),
+	...['w', 'wk', 'wks', 'week', 'weeks'].map(unit => [unit, 1000 * 60 * 60 * 24 * 7]),
+	...['y', 'yr', 'yrs', 'year', 'years'].map(unit => [unit, 1000 * 60 * 60 * 24 * 365])
+]);
 let sensitivePattern;
 
 /**
@@ -93,6 +102,84 @@ class Util {
 		return str.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
 	}
 
+	/**
+	 * Calculates the Levenshtein edit distance between two strings
+	 * @since 0.4.0
+	 * @param {string} first The first string
+	 * @param {string} second The second string
+	 * @returns {number}
+	 */
+	static levenshtein(first, second) {
+		if (!first.length) return second.length;
+		if (!second.length) return first.length;
+		let previous = Array.from({ length: second.length + 1 }, (value, i) => i);
+		for (let i = 0; i < first.length; i++) {
+			const current = [i + 1];
+			for (let j = 0; j < second.length; j++) {
+				current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (first[i] === second[j] ? 0 : 1)));
+			}
+			previous = current;
+		}
+		return previous[second.length];
+	}
+
+	/**
+	 * Parses a human readable duration, such as `1h30m`, `2 days` or `1 hour, 30 minutes`, into milliseconds
+	 * @since 0.4.0
+	 * @param {(string|number)} input The duration to parse, numbers are taken as milliseconds
+	 * @returns {?number}
+	 */
+	static parseDuration(input) {
+		if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+		let duration = 0;
+		let matched = false;
+		const remainder = String(input).toLowerCase().replace(/(-?\d*\.?\d+)\s*([a-z]+)/g, (match, amount, unit) => {
+			if (!durationUnits.has(unit)) return match;
+			duration += amount * durationUnits.get(unit);
+			matched = true;
+			return '';
+		}).replace(/,|\band\b|\s/g, '');
+		return matched && remainder === '' ? duration : null;
+	}
+
+	/**
+	 * Formats milliseconds into a human readable duration, such as `1d 2h 30m`
+	 * @since 0.4.0
+	 * @param {number} duration The duration in milliseconds
+	 * @returns {string}
+	 */
+	static formatDuration(duration) {
+		const sign = duration < 0 ? '-' : '';
+		duration = Math.abs(duration);
+		if (duration < 1000) return `${sign}${duration}ms`;
+		const parts = [];
+		for (const unit of ['y', 'd', 'h', 'm', 's']) {
+			const value = durationUnits.get(unit);
+			if (duration < value) continue;
+			parts.push(`${Math.floor(duration / value)}${unit}`);
+			duration %= value;
+		}
+		return `${sign}${parts.join(' ')}`;
+	}
+
+	/**
+	 * Returns the id of the bucket a message falls in for a scope, such as the one of a cooldown
+	 * @since 0.4.0
+	 * @param {external:Message} msg The message to get the bucket of
+	 * @param {string} scope The scope, one of user, member, channel, guild or global
+	 * @returns {string}
+	 */
+	static getBucket(msg, scope) {
+		const scopes = {
+			user: () => msg.author.id,
+			member: () => msg.guild ? `${msg.guild.id}-${msg.author.id}` : msg.author.id,
+			channel: () => msg.channel.id,
+			guild: () => msg.guild ? msg.guild.id : msg.channel.id,
+			global: () => 'global'
+		};
+		return (scopes[scope] || scopes.user)();
+	}
+
 	/**
 	 * Applies an interface to a class|
 	 * @since 0.1.1
@@ -1,4 +1,4 @@
-const { Monitor, CommandMessage, Stopwatch, util: { regExpEsc, newError } } = require('klasa');
+const { Monitor, InhibitorStore, CommandMessage, CommandSignal, CommandTimeoutError, Stopwatch, util: { regExpEsc, newError, levenshtein } } = require('klasa');
 
 module.exports = class extends Monitor {
 
@@ -13,26 +13,87 @@ module.exports = class extends Monitor {
 	async run(msg) {
 		if (this.client.user.bot && msg.guild && !msg.guild.me) await msg.guild.members.fetch(this.client.user);
 		if (msg.guild && !msg.channel.permissionsFor(msg.guild.me).has('SEND_MESSAGES')) return;
+		if (msg.channelSettings.ignored) return;
 		const { command, prefix, prefixLength } = this.parseCommand(msg);
-		if (!command) return;
-		const validCommand = this.client.commands.get(command);
-		if (!validCommand) return;
+		const cmdMsg = (command && this.getCommandMessage(msg, command, prefix, prefixLength)) || (prefix ? null : this.getTriggerMessage(msg));
+		if (!cmdMsg) {
+			if (prefix && this.client.config.commandSuggestions) await this.suggestCommands(msg, command);
+			return;
+		}
+		await this.handle(msg, cmdMsg);
+	}
+
+	async handle(msg, cmdMsg) {
 		const timer = new Stopwatch();
 		if (this.client.config.typing) msg.channel.startTyping();
 
-		this.client.inhibitors.run(msg, validCommand)
-			.then(() => this.runCommand(this.makeProxy(msg, new CommandMessage(msg, validCommand, prefix, prefixLength)), timer))
-			.catch((response) => {
-				if (this.client.config.typing) msg.channel.stopTyping();
-				this.client.emit('commandInhibited', msg, validCommand, response);
-			});
+		const proxy = this.makeProxy(msg, cmdMsg);
+		const inhibited = await this.client.inhibitors.check(proxy, cmdMsg.cmd);
+		if (!inhibited.size) {
+			await this.runCommand(proxy, timer);
+			return;
+		}
+		if (this.client.config.typing) msg.channel.stopTyping();
+		this.client.concurrency.release(proxy);
+		this.client.emit('commandInhibited', msg, cmdMsg.cmd, InhibitorStore.response(inhibited), [...inhibited.keys()]);
+	}
+
+	getCommandMessage(msg, name, prefix, prefixLength) {
+		const command = this.client.commands.get(name);
+		return command ? new CommandMessage(msg, command, prefix, prefixLength) : this.getTagMessage(msg, name, prefix, prefixLength);
+	}
+
+	getTriggerMessage(msg) {
+		if (msg.channel.type === 'dm') {
+			const command = this.client.commands.get(msg.content.trim().split(' ')[0].toLowerCase());
+			if (command && command.prefixlessDM) return new CommandMessage(msg, command, null, 0);
+		}
+		for (const command of this.client.commands.values()) {
+			for (const trigger of command.triggers) {
+				// Global and sticky regular expressions keep the index of their last match between messages
+				trigger.lastIndex = 0;
+				const match = trigger.exec(msg.content);
+				if (match) return new CommandMessage(msg, command, null, 0, { subcommand: null, args: [], flags: {}, trigger: match });
+			}
+		}
+		return null;
+	}
+
+	getTagMessage(msg, name, prefix, prefixLength) {
+		const tagCommand = this.client.commands.get('tag');
+		if (!tagCommand || !this.client.tags.get(msg.guild, name)) return null;
+		const { content } = CommandMessage.parseFlags({ msg, cmd: tagCommand, prefixLength });
+		return new CommandMessage(msg, tagCommand, prefix, prefixLength, { subcommand: tagCommand.getSubcommand('show'), args: [name, content] });
+	}
+
+	async suggestCommands(msg, input) {
+		const maxDistance = Math.max(2, Math.floor(input.length / 3));
+		const candidates = [];
+		for (const command of this.client.commands.values()) {
+			const distances = [command.name, ...command.aliases]
+				.map(name => ({ name, distance: levenshtein(input, name.toLowerCase()) }))
+				.filter(({ name, distance }) => distance <= maxDistance && distance < name.length)
+				.map(({ distance }) => distance);
+			if (distances.length) candidates.push({ command, distance: Math.min(...distances) });
+		}
+		if (!candidates.length) return null;
+
+		const allowed = await Promise.all(candidates.map(({ command }) => this.client.inhibitors.run(msg, command, true).then(() => true, () => false)));
+		const suggestions = candidates.filter((candidate, i) => allowed[i])
+			.sort((a, b) => a.distance - b.distance)
+			.slice(0, 3)
+			.map(({ command }) => command.name);
+		if (!suggestions.length) return null;
+		return msg.sendMessage(msg.language.get('MONITOR_COMMAND_HANDLER_SUGGESTIONS', input, suggestions)).catch(err => this.client.emit('error', err));
 	}
 
 	parseCommand(msg) {
-		const { regex: prefix, length: prefixLength } = this.getPrefix(msg);
-		if (!prefix) return { command: false };
+		const { regex: prefix = null, length: prefixLength = 0 } = this.getPrefix(msg);
+		if (!prefix && !msg.channelSettings.noPrefix) return { command: false };
+		const command = msg.content.slice(prefixLength).trim().split(' ')[0].toLowerCase();
+		const guildAlias = this.client.commands.has(command) ? null : this.client.commands.resolveGuildAlias(msg.guild, command);
 		return {
-			command: msg.content.slice(prefixLength).trim().split(' ')[0].toLowerCase(),
+			command: guildAlias ? guildAlias.name : command,
 			prefix,
 			prefixLength
 		};
@@ -40,7 +101,7 @@ module.exports = class extends Monitor {
 
 	getPrefix(msg) {
 		if (this.prefixMention.test(msg.content)) return { length: this.nick.test(msg.content) ? this.prefixMentionLength + 1 : this.prefixMentionLength, regex: this.prefixMention };
-		const prefix = msg.guildSettings.prefix || this.client.config.prefix;
+		const prefix = msg.channelSettings.prefix || msg.guildSettings.prefix || this.client.config.prefix;
 		if (prefix instanceof Array) {
 			for (let i = prefix.length - 1; i >= 0; i--) {
 				const testingPrefix = this.prefixes.get(prefix[i]) || this.generateNewPrefix(prefix[i]);
@@ -54,11 +115,15 @@ module.exports = class extends Monitor {
 	}
 
 	generateNewPrefix(prefix) {
-		const prefixObject = { length: prefix.length, regex: new RegExp(`^${regExpEsc(prefix)}`) };
+		const prefixObject = { length: prefix.length, regex: new RegExp(`^${regExpEsc(prefix)}`, this.client.config.prefixCaseInsensitive ? 'i' : '') };
 		this.prefixes.set(prefix, prefixObject);
 		return prefixObject;
 	}
 
+	clearPrefixes(...prefixes) {
+		for (const prefix of [].concat(...prefixes)) this.prefixes.delete(prefix);
+	}
+
 	makeProxy(msg, cmdMsg) {
 		return new Proxy(msg, {
 			get: function handler(target, param) {
@@ -69,48 +134,104 @@ module.exports = class extends Monitor {
 
 	async runCommand(msg, timer) {
 		try {
+			await msg.validateFlags();
 			await msg.validateArgs();
 		} catch (error) {
 			if (this.client.config.typing) msg.channel.stopTyping();
 			if (error.code === 1 && this.client.config.cmdPrompt) {
 				return this.awaitMessage(msg, timer, error.message)
-					.catch(err => this.client.emit('commandError', msg, msg.cmd, msg.params, err));
+					.catch((err) => {
+						this.deletePrompts(msg);
+						this.client.concurrency.release(msg);
+						this.client.emit('commandError', msg, msg.cmd, msg.params, err);
+					});
 			}
+			this.deletePrompts(msg);
+			this.client.concurrency.release(msg);
 			return this.client.emit('commandError', msg, msg.cmd, msg.params, error);
 		}
+		this.deletePrompts(msg);
+
+		try {
+			await this.client.hooks.run(msg, 'before', msg.params);
+		} catch (response) {
+			if (this.client.config.typing) msg.channel.stopTyping();
+			this.client.concurrency.release(msg);
+			if (response instanceof Error) return this.client.emit('commandError', msg, msg.cmd, msg.params, response);
+			return this.client.emit('commandInhibited', msg, msg.cmd, response, []);
+		}
 
-		const commandRun = msg.cmd.run(msg, msg.params);
+		const signal = new CommandSignal();
+		this.client.commandSignals.set(msg.id, signal);
+		const runTimer = new Stopwatch();
+		const commandRun = this.timeCommand(msg, msg.subcommand ? msg.subcommand.run(msg, msg.params, signal) : msg.cmd.run(msg, msg.params, signal), signal);
 
 		if (this.client.config.typing) msg.channel.stopTyping();
 		timer.stop();
 
 		return commandRun
 			.then(mes => {
-				this.client.finalizers.run(msg, mes, timer);
-				this.client.emit('commandRun', msg, msg.cmd, msg.params, mes);
+				runTimer.stop();
+				return this.client.hooks.run(msg, 'after', msg.params, mes)
+					// The command itself succeeded, so a failing after hook does not make it a command error
+					.catch(error => this.client.emit('error', error))
+					.then(() => {
+						this.client.finalizers.run(msg, mes, timer, runTimer);
+						this.client.emit('commandRun', msg, msg.cmd, msg.params, mes);
+					});
+			}, (error) => {
+				// Only the errors of the command itself are counted, not the ones of its args
+				this.client.analytics.error(msg.cmd);
+				this.client.concurrency.release(msg);
+				this.client.emit('commandError', msg, msg.cmd, msg.params, error);
 			})
-			.catch(error => this.client.emit('commandError', msg, msg.cmd, msg.params, error));
+			.then(() => {
+				if (this.client.commandSignals.get(msg.id) === signal) this.client.commandSignals.delete(msg.id);
+			});
+	}
+
+	timeCommand(msg, commandRun, signal) {
+		const { commandTimeout = 0 } = this.client.config;
+		const timeout = msg.cmd.timeout === null ? commandTimeout : msg.cmd.timeout;
+		if (!timeout) return commandRun;
+		return new Promise((resolve, reject) => {
+			const timer = this.client.setTimeout(() => {
+				signal.cancel('timeout');
+				reject(new CommandTimeoutError(msg.cmd, timeout));
+			}, timeout);
+			commandRun.then(resolve, reject).then(() => this.client.clearTimeout(timer));
+		});
 	}
 
 	async awaitMessage(msg, timer, error) {
-		const message = await msg.channel.send(msg.language.get('MONITOR_COMMAND_HANDLER_REPROMPT', `<@!${msg.author.id}>`, error))
+		const { cmdPromptTime = 30000, cmdPromptLimit = Infinity } = this.client.config;
+		const attempts = (msg._promptAttempts[msg.params.length] || 0) + 1;
+		if (attempts > cmdPromptLimit) throw error;
+		msg._promptAttempts[msg.params.length] = attempts;
+
+		const abort = msg.language.get('MONITOR_COMMAND_HANDLER_ABORT_KEYWORD');
+		const usage = msg._currentUsage.possibles ? msg.usage.describeTag(msg._currentUsage, msg.language) : null;
+		const message = await msg.channel.send(msg.language.get('MONITOR_COMMAND_HANDLER_REPROMPT', `<@!${msg.author.id}>`, error, Math.round(cmdPromptTime / 1000), abort, usage))
 			.catch((err) => { throw newError(err); });
+		msg._prompts.push(message);
 
-		const param = await msg.channel.awaitMessages(response => response.author.id === msg.author.id && response.id !== message.id, { max: 1, time: 30000, errors: ['time'] })
-			.catch(() => {
-				message.delete();
-				throw undefined;
-			});
+		const param = await msg.channel.awaitMessages(response => response.author.id === msg.author.id && response.id !== message.id, { max: 1, time: cmdPromptTime, errors: ['time'] })
+			.catch(() => { throw undefined; });
+		const response = param.first();
+		msg._prompts.push(response);
 
-		if (param.first().content.toLowerCase() === 'abort') throw msg.language.get('MONITOR_COMMAND_HANDLER_ABORTED');
-		msg.args[msg.args.lastIndexOf(null)] = param.first().content;
+		if (response.content.toLowerCase() === abort.toLowerCase()) throw msg.language.get('MONITOR_COMMAND_HANDLER_ABORTED');
+		msg.args[msg.args.lastIndexOf(null)] = response.content;
 		msg.reprompted = true;
 
-		message.delete();
 		if (this.client.config.typing) msg.channel.startTyping();
 		return this.runCommand(msg, timer);
 	}
 
+	deletePrompts(msg) {
+		for (const message of msg._prompts.splice(0)) message.delete().catch(() => null);
+	}
+
 	init() {
 		this.ignoreSelf = this.client.user.bot;
 		this.ignoreOthers = !this.client.user.bot;
@@ -6,7 +6,7 @@ module.exports = class extends Provider {
 
 	constructor(...args) {
 		super(...args, { description: 'Allows you to use JSON functionality throught Klasa' });
-		this.baseDir = resolve(this.client.clientBaseDir, 'bwd', 'provider', 'json');
+		this.baseDir = resolve(this.client.dataDir, 'provider', 'json');
 	}
 
 	init() {
@@ -25,6 +25,7 @@ declare module 'klasa' {
 		GroupDMChannel as DiscordGroupDMChannel,
 		OAuth2Application,
 		MessageOptions,
+		PermissionResolvable,
 		ReactionCollector,
 
 		StringResolvable,
@@ -34,6 +35,8 @@ declare module 'klasa' {
 		BufferResolvable
 	} from 'discord.js';
 
+	import { EventEmitter } from 'events';
+
 	export const version: string;
 
 	class KlasaClient extends Client {
@@ -41,18 +44,23 @@ declare module 'klasa' {
 		public config: KlasaClientConfig;
 		public coreBaseDir: string;
 		public clientBaseDir: string;
+		public dataDir: string;
 		public console: Console;
-		public argResolver: ArgResolver;
 		public commands: CommandStore;
 		public inhibitors: InhibitorStore;
 		public finalizers: FinalizerStore;
+		public hooks: HookStore;
 		public monitors: MonitorStore;
 		public languages: LanguageStore;
 		public providers: ProviderStore;
 		public events: EventStore;
 		public extendables: ExtendableStore;
+		public arguments: ArgumentStore;
+		/** @deprecated Use arguments instead */
+		public argResolver: ArgResolver;
 		public pieceStores: Collection<string, any>;
 		public commandMessages: Collection<Snowflake, CommandMessage>;
+		public commandSignals: Collection<Snowflake, CommandSignal>;
 		public permissionLevels: PermissionLevels;
 		public commandMessageLifetime: number;
 		public commandMessageSweep: number;
@@ -66,7 +74,12 @@ declare module 'klasa' {
 			util: Util;
 		};
 		public settings: StringMappedType<SettingGateway<string>>;
+		public tags: TagStore;
+		public cooldowns: CooldownManager;
+		public concurrency: ConcurrencyManager;
+		public analytics: AnalyticsManager;
 		public application: OAuth2Application;
+		public repl: REPL;
 
 		public readonly invite: string;
 		public readonly owner: ExtendedUser;
@@ -78,6 +91,7 @@ declare module 'klasa' {
 		public unregisterPiece(pieceName: string): KlasaClient;
 
 		public login(token: string): Promise<string>;
+		private startREPL(): void;
 		private _ready(): void;
 
 		public sweepCommandMessages(lifetime?: number): number;
@@ -116,7 +130,7 @@ declare module 'klasa' {
 
 		// Klasa Command Events
 		public on(event: 'commandError', listener: (msg: CommandMessage, command: Command, params: any[], error: Error) => void): this;
-		public on(event: 'commandInhibited', listener: (msg: CommandMessage, command: Command, response: string|Error) => void): this;
+		public on(event: 'commandInhibited', listener: (msg: CommandMessage, command: Command, response: string|Error, inhibitors: string[]) => void): this;
 
 		// Klasa Console Custom Events
 		public on(event: 'log', listener: (data: any, type: string) => void): this;
@@ -156,7 +170,7 @@ declare module 'klasa' {
 
 		// Klasa Command Events
 		public once(event: 'commandError', listener: (msg: CommandMessage, command: Command, params: any[], error: Error) => void): this;
-		public once(event: 'commandInhibited', listener: (msg: CommandMessage, command: Command, response: string|Error) => void): this;
+		public once(event: 'commandInhibited', listener: (msg: CommandMessage, command: Command, response: string|Error, inhibitors: string[]) => void): this;
 
 		// Klasa Console Custom Events
 		public once(event: 'log', listener: (data: any, type: string) => void): this;
@@ -167,6 +181,72 @@ declare module 'klasa' {
 
 	export { KlasaClient as Client };
 
+	export class TestClient extends KlasaClient {
+		public constructor(options?: KlasaClientConfig);
+		public mocks: MockFactory;
+		public guild: ExtendedGuild;
+		public channel: ExtendedTextChannel;
+		private temporaryDataDir: boolean;
+
+		public readonly output: MockOutput[];
+		public login(): Promise<this>;
+		public fetchApplication(): Promise<{ id: Snowflake, name: string, owner: ExtendedUser, botPublic: boolean }>;
+		public dispatch(content: string, options?: DispatchOptions): Promise<DispatchResult>;
+		public destroy(): Promise<void>;
+	}
+
+	export class MockFactory extends EventEmitter {
+		public constructor(client: TestClient);
+		public readonly client: TestClient;
+		public output: MockOutput[];
+		private collectors: Map<Snowflake, object[]>;
+		private waiting: Map<Snowflake, Function[]>;
+		private ids: number;
+
+		public id(): Snowflake;
+		public user(data?: { id?: Snowflake, username?: string, discriminator?: string, bot?: boolean }): ExtendedUser;
+		public guild(data?: { id?: Snowflake, name?: string, owner?: ExtendedUser }): ExtendedGuild;
+		public role(guild: ExtendedGuild, data?: { id?: Snowflake, name?: string, permissions?: PermissionResolvable }): Role;
+		public member(guild: ExtendedGuild, user: ExtendedUser, data?: { roles?: Role[], permissions?: PermissionResolvable, nickname?: string }): GuildMember;
+		public textChannel(guild: ExtendedGuild, data?: { id?: Snowflake, name?: string, nsfw?: boolean }): ExtendedTextChannel;
+		public message(channel: ExtendedTextChannel|ExtendedDMChannel, author: ExtendedUser, content?: string, options?: MessageOptions): ExtendedMessage;
+		public proxy<T extends ExtendedTextChannel|ExtendedDMChannel|ExtendedUser>(structure: T): T;
+		public collect(message: ExtendedMessage): boolean;
+		public awaitCollector(channel: ExtendedTextChannel|ExtendedDMChannel): Promise<void>;
+		private record(entry: MockOutput): void;
+		private directMessages(user: ExtendedUser, id?: Snowflake): ExtendedUser;
+		private textBased(channel: ExtendedTextChannel|ExtendedDMChannel): void;
+
+		private static create(structure: Function, properties: object): any;
+		private static assign<T>(mock: T, properties: object): T;
+		private static cache(): Collection<Snowflake, any>;
+
+		public on(event: 'output', listener: (entry: MockOutput) => void): this;
+		public once(event: 'output', listener: (entry: MockOutput) => void): this;
+	}
+
+	export class REPL {
+		public constructor(client: KlasaClient, options?: REPLOptions);
+		public readonly client: KlasaClient;
+		public mocks: MockFactory;
+		public channel: ExtendedTextChannel | null;
+		public author: ExtendedUser | null;
+		private target: { channel: ExtendedTextChannel | Snowflake | null, guild: ExtendedGuild | Snowflake | null };
+		public input: NodeJS.ReadableStream;
+		public prompt: string;
+		private interface: any;
+
+		public start(): this;
+		public stop(): this;
+		public run(line: string): Promise<void>;
+		private resolveTarget(): Promise<void>;
+		private print(entry: MockOutput): void;
+		private resolveChannel(channel?: ExtendedTextChannel|Snowflake, guild?: ExtendedGuild|Snowflake): ExtendedTextChannel;
+
+		public static format(entry: MockOutput): string;
+		public static formatEmbed(embed: MessageEmbed|object): string;
+	}
+
 	export class ReactionHandler extends ReactionCollector {
 		public constructor(msg: ExtendedMessage, filter: Function, options: ReactionHandlerOptions, display: RichDisplay|RichMenu, emojis: emoji[]);
 		public display: RichDisplay|RichMenu;
@@ -237,9 +317,19 @@ declare module 'klasa' {
 		public static toTitleCase(str: string): string;
 		public static newError(error: Error, code: number): Error;
 		public static regExpEsc(str: string): string;
+		public static levenshtein(first: string, second: string): number;
+		public static parseDuration(input: string|number): number;
+		public static formatDuration(duration: number): string;
+		public static getBucket(msg: ExtendedMessage, scope: string): string;
 		public static applyToClass(base: object, structure: object, skips?: string[]): void;
 	}
 
+	/** @deprecated Use the argument pieces in KlasaClient#arguments instead */
+	export class ArgResolver extends Resolver {
+		[type: string]: any;
+		public resolveType(type: string, arg: string, currentUsage: Tag, possible: number, repeat: boolean, msg: CommandMessage): Promise<any>;
+	}
+
 	export class Resolver {
 		public constructor(client: KlasaClient);
 		public client: KlasaClient;
@@ -254,6 +344,8 @@ declare module 'klasa' {
 		public string(input: string): Promise<string>;
 		public integer(input: string|number): Promise<number>;
 		public float(input: string|number): Promise<number>;
+		public duration(input: string|number): Promise<number>;
+		public date(input: Date|string|number): Promise<Date>;
 		public url(input: string): Promise<string>;
 
 		public static readonly regex: {
@@ -264,78 +356,9 @@ declare module 'klasa' {
 		};
 	}
 
-	export class ArgResolver extends Resolver {
-		public piece(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Piece>;
-		public store(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Store>;
-
-		public cmd(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Command>;
-		public command(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Command>;
-		public event(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Event>;
-		public extendable(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Extendable>;
-		public finalizer(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Finalizer>;
-		public inhibitor(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Inhibitor>;
-		public monitor(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Monitor>;
-		public language(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Language>;
-		public provider(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Provider>;
-
-		public msg(input: string|CommandMessage, channel: Channel): Promise<CommandMessage>;
-		public msg(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<CommandMessage>;
-		public message(input: string|CommandMessage, channel: Channel): Promise<CommandMessage>;
-		public message(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<CommandMessage>;
-
-		public user(input: ExtendedUser|GuildMember|CommandMessage|Snowflake): Promise<ExtendedUser>;
-		public user(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<ExtendedUser>;
-		public mention(input: ExtendedUser|GuildMember|CommandMessage|Snowflake): Promise<ExtendedUser>;
-		public mention(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<ExtendedUser>;
-
-		public member(input: ExtendedUser|GuildMember|Snowflake, guild: ExtendedGuild): Promise<GuildMember>;
-		public member(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<GuildMember>;
-
-		public channel(input: Channel|Snowflake): Promise<Channel>;
-		public channel(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Channel>;
-
-		public guild(input: ExtendedGuild|Snowflake): Promise<ExtendedGuild>;
-		public guild(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<ExtendedGuild>;
-
-		public role(input: Role|Snowflake, guild: ExtendedGuild): Promise<Role>;
-		public role(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<Role>;
-
-		public literal(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-
-		public bool(input: boolean|string): Promise<boolean>;
-		public bool(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<boolean>;
-		public boolean(input: boolean|string): Promise<boolean>;
-		public boolean(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<boolean>;
-
-		public str(input: string): Promise<string>;
-		public str(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-		public string(input: string): Promise<string>;
-		public string(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-
-		public int(input: string|number): Promise<number>;
-		public int(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<number>;
-		public integer(input: string|number): Promise<number>;
-		public integer(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<number>;
-
-		public num(input: string|number): Promise<number>;
-		public num(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<number>;
-		public number(input: string|number): Promise<number>;
-		public number(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<number>;
-		public float(input: string|number): Promise<number>;
-		public float(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<number>;
-
-		public reg(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-		public regex(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-		public regexp(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-
-		public url(input: string): Promise<string>;
-		public url(arg: string, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage): Promise<string>;
-
-		public static minOrMax(value: number, min: number, max: number, currentUsage: object, possible: number, repeat: boolean, msg: CommandMessage, suffix: string): boolean;
-	}
-
 	export class SettingResolver extends Resolver {
 		public command(data: any, guild: ExtendedGuild, name: string): Promise<Command>;
+		public category(data: any, guild: ExtendedGuild, name: string): Promise<string>;
 		public language(data: any, guild: ExtendedGuild, name: string): Promise<Language>;
 
 		public user(input: ExtendedUser|GuildMember|CommandMessage|Snowflake): Promise<ExtendedUser>;
@@ -365,6 +388,12 @@ declare module 'klasa' {
 		public float(input: string|number): Promise<number>;
 		public float(data: any, guild: ExtendedGuild, name: string, minMax: { min: number, max: number }): Promise<number>;
 
+		public duration(input: string|number): Promise<number>;
+		public duration(data: any, guild: ExtendedGuild, name: string, minMax: { min: number, max: number }): Promise<number>;
+
+		public date(input: Date|string|number): Promise<Date>;
+		public date(data: any, guild: ExtendedGuild, name: string, minMax: { min: number, max: number }): Promise<number>;
+
 		public url(input: string): Promise<string>;
 		public url(data: any, guild: ExtendedGuild, name: string): Promise<string>;
 
@@ -385,7 +414,7 @@ declare module 'klasa' {
 
 	// Usage
 	export class ParsedUsage {
-		public constructor(client: KlasaClient, command: Command);
+		public constructor(client: KlasaClient, command: Command|Subcommand);
 		public readonly client: KlasaClient;
 		public names: string[];
 		public commands: string;
@@ -393,8 +422,14 @@ declare module 'klasa' {
 		public usageString: string;
 		public parsedUsage: Tag[];
 		public nearlyFullUsage: string;
+		public argDescriptions: StringMappedType<LocalizableString>;
+		public argNames: StringMappedType<LocalizableString>;
 
 		public fullUsage(msg: CommandMessage): string;
+		public argName(name: string, language: Language): string;
+		public breakdown(language: Language): string[];
+		public describeTag(tag: Tag, language: Language): string;
+		public static describePossible(possible: Possible, language: Language, name?: string): string;
 		public static parseUsage(usageString: string): Tag[];
 		public static tagOpen(usage: object, char: string): object;
 		public static tagClose(usage: object, char: string): object;
@@ -409,14 +444,16 @@ declare module 'klasa' {
 		public max: number;
 		public regex: RegExp;
 
-		public static resolveLimit(limit: string, type: string): number;
+		public static resolveLimit(limit: string, type: string, possibleType: string): number;
 	}
 
 	export class Tag {
 		public constructor(members: string, count: number, required: boolean);
 		public type: string;
 		public possibles: Possible[];
+		public default: string;
 
+		public static parseDefault(members: string, count: number, required: boolean): [string, string];
 		public static parseMembers(members: string, count: number): Possible[];
 		public static parseTrueMembers(members: string): string[];
 	}
@@ -456,6 +493,7 @@ declare module 'klasa' {
 
 		public initSchema(): Promise<void>;
 		public create(input: object|string): Promise<void>;
+		public cloneDefaults(): object;
 		public destroy(input: string): Promise<void>;
 		public get(input: string): object;
 		public getResolved(input: object|string, guild?: SettingGatewayGuildResolvable): Promise<object>;
@@ -463,7 +501,7 @@ declare module 'klasa' {
 		public reset(input: object|string, key: string): Promise<any>;
 		public update(input: object|string, object: object, guild?: SettingGatewayGuildResolvable): object;
 		public ensureCreate(target: object|string): true;
-		public updateArray(input: object|string, action: 'add'|'remove', key: string, data: any): Promise<boolean>;
+		public updateArray(input: object|string, action: 'add'|'remove', key: string, data: any, guild?: object|string): Promise<boolean>;
 		private _resolveGuild(guild: ExtendedGuild|ExtendedTextChannel|ExtendedVoiceChannel|Snowflake): ExtendedGuild;
 
 		public readonly client: KlasaClient;
@@ -476,17 +514,127 @@ declare module 'klasa' {
 		public client: KlasaClient;
 		public resolver: SettingResolver;
 		public guilds: SettingGateway<'guilds'>;
+		public tags: SettingGateway<'tags'>;
+		public permissions: SettingGateway<'permissions'>;
+		public channels: SettingGateway<'channels'>;
 
 		public add<T>(name: T, validateFunction: Function, schema?: object): Promise<SettingGateway<T>>;
 		public validate(resolver: SettingResolver, guild: object|string);
+		public validateChannel(resolver: SettingResolver, channel: object|string);
 
 		public readonly defaultDataSchema: {
 			prefix: SchemaPiece,
 			language: SchemaPiece,
-			disabledCommands: SchemaPiece
+			disabledCommands: SchemaPiece,
+			disabledCategories: SchemaPiece,
+			commandAliases: SchemaPiece
+		};
+		public readonly channelDataSchema: {
+			ignored: SchemaPiece,
+			prefix: SchemaPiece,
+			noPrefix: SchemaPiece,
+			disabledCommands: SchemaPiece,
+			disabledCategories: SchemaPiece
+		};
+		public readonly tagDataSchema: {
+			tags: SchemaPiece
+		};
+		public readonly permissionDataSchema: {
+			overrides: SchemaPiece
 		};
 	}
 
+	export class TagStore {
+		public constructor(client: KlasaClient);
+		public readonly client: KlasaClient;
+		public readonly gateway: SettingGateway<'tags'>;
+
+		public list(guild?: ExtendedGuild): Collection<string, GuildTag>;
+		public get(guild: ExtendedGuild, name: string): GuildTag;
+		public set(guild: ExtendedGuild, name: string, content: string, embed?: boolean): Promise<GuildTag>;
+		public delete(guild: ExtendedGuild, name: string): Promise<boolean>;
+
+		public static parse(entry: string): GuildTag | null;
+		public static format(tag: GuildTag, msg: ExtendedMessage, args: string): string;
+	}
+
+	export class CooldownManager {
+		public constructor(client: KlasaClient);
+		public readonly client: KlasaClient;
+		public readonly provider: Provider;
+		public table: string;
+		private uses: Map<string, number[]>;
+		private persisted: Set<string>;
+		private writes: Map<string, Promise<void>>;
+
+		public init(): Promise<void>;
+		public bypasses(msg: ExtendedMessage, command: Command): Promise<boolean>;
+		public remaining(msg: ExtendedMessage, command: Command): number;
+		public use(msg: ExtendedMessage, command: Command): Promise<void>;
+		private getUses(command: Command, bucket: string): number[];
+		private prune(command: Command, bucket: string): void;
+		private save(command: Command, bucket: string, uses: number[]): Promise<void>;
+		private write(id: string, task: () => Promise<void>): Promise<void>;
+
+		private static parseUses(uses: string): number[];
+		public static getBucket(msg: ExtendedMessage, command: Command): string;
+	}
+
+	export class AnalyticsManager {
+		public constructor(client: KlasaClient);
+		public readonly client: KlasaClient;
+		public readonly provider: Provider;
+		public table: string;
+		public commands: Map<string, CommandAnalytics>;
+		private persisted: Set<string>;
+		private unsaved: Set<string>;
+
+		public init(): Promise<void>;
+		public run(command: Command, timer: Stopwatch): void;
+		public error(command: Command): void;
+		public inhibit(command: Command, inhibitors?: string[]): void;
+		public stats(name: string): CommandStatistics;
+		public reset(name?: string): Promise<void>;
+		public save(): Promise<void>;
+		private get(name: string): CommandAnalytics;
+
+		public static percentile(sorted: number[], percentage: number): number|null;
+		public static empty(): CommandAnalytics;
+	}
+
+	export class ConcurrencyManager {
+		public constructor(client: KlasaClient);
+		public readonly client: KlasaClient;
+		public running: Map<string, Map<string, number>>;
+		private held: WeakMap<ExtendedMessage, { name: string, bucket: string }>;
+
+		public acquire(msg: ExtendedMessage, command: Command): boolean;
+		public release(msg: ExtendedMessage): void;
+	}
+
+	export class CommandSignal extends EventEmitter {
+		public constructor();
+		public reason: 'timeout' | 'deleted' | null;
+		public readonly cancelled: boolean;
+
+		public cancel(reason: string): boolean;
+		public on(event: 'cancel', listener: (reason: string) => void): this;
+		public once(event: 'cancel', listener: (reason: string) => void): this;
+	}
+
+	export class AmbiguousArgumentError extends Error {
+		public constructor(message: string, possible: Possible);
+		public name: 'AmbiguousArgumentError';
+		public possible: Possible;
+	}
+
+	export class CommandTimeoutError extends Error {
+		public constructor(command: Command, timeout: number);
+		public name: 'CommandTimeoutError';
+		public command: Command;
+		public timeout: number;
+	}
+
 	export class SQL {
 		public constructor(client: KlasaClient, gateway: SettingGateway<string>);
 		public readonly client: KlasaClient;
@@ -564,21 +712,37 @@ declare module 'klasa' {
 
 	// Structures
 	export class CommandMessage {
-		public constructor(msg: CommandMessage, cmd: Command, prefix: string, prefixLength: number);
+		public constructor(msg: CommandMessage, cmd: Command, prefix: RegExp | null, prefixLength: number, options?: CommandMessageOptions);
 		public readonly client: KlasaClient;
 		public msg: CommandMessage;
 		public cmd: Command;
-		public prefix: string;
+		public prefix: RegExp | null;
 		public prefixLength: number;
+		public trigger: RegExpExecArray | null;
+		public flags: StringMappedType<any>;
+		private _flags: StringMappedType<string|boolean>;
+		public subcommand?: Subcommand;
 		public args: string[];
 		public params: any[];
 		public reprompted: false;
+		private _prompts: ExtendedMessage[];
+		private _promptAttempts: number[];
 		private _currentUsage: object;
 		private _repeat: boolean;
 
+		public readonly usage: ParsedUsage;
+		private validateFlags(): Promise<StringMappedType<any>>;
 		private validateArgs(): Promise<any[]>;
 		private multiPossibles(possible: number, validated: boolean): Promise<any[]>;
-
+		private runValidator(value: any, possible: Possible): Promise<any>;
+		private getPrompt(tag: Tag): string;
+		private resolveDefault(tag: Tag): Promise<any>;
+		private fillDefaults(): Promise<any[]>;
+
+		private static unknownArgument(possible: Possible, cmd: Command): Error;
+		private static getContent(cmdMsg: CommandMessage): string;
+		private static parseFlags(cmdMsg: CommandMessage): { content: string, flags: StringMappedType<string|boolean> };
+		private static getSubcommand(cmdMsg: CommandMessage): Subcommand;
 		public static getArgs(cmdMsg: CommandMessage): string[];
 		public static getQuotedStringArgs(cmdMsg: CommandMessage): string[];
 	}
@@ -601,23 +765,40 @@ declare module 'klasa' {
 		public enabled: boolean;
 		public name: string;
 		public aliases: string[];
+		public triggers: RegExp[];
+		public prefixlessDM: boolean;
 		public runIn: string[];
 		public botPerms: string[];
 		public requiredSettings: string[];
 		public cooldown: number;
+		public cooldownScope: CooldownScope;
+		public cooldownUses: number;
+		public cooldownBypass: number;
+		public concurrency: number;
+		public concurrencyScope: CooldownScope;
+		public timeout: number;
 		public permLevel: number;
-		public description: string;
+		public description: LocalizableString;
 		public usageDelim: string;
-		public extendedHelp: string;
+		public extendedHelp: LocalizableString;
+		public examples: string[]|LocalizableString;
 		public quotedStringSupport: boolean;
+		public validators: StringMappedType<ArgumentValidator>;
+		public prompts: StringMappedType<string|ArgumentPrompt>;
+		public argDescriptions: StringMappedType<LocalizableString>;
+		public argNames: StringMappedType<LocalizableString>;
+		public before: Array<string|CommandHook>;
+		public after: Array<string|CommandHook>;
 
 		public fullCategory: string[];
 		public category: string;
 		public subCategory: string;
 		public usage: ParsedUsage;
-		private cooldowns: Map<Snowflake, number>;
+		public subcommands: Collection<string, Subcommand>;
+		public flags: Collection<string, Tag>;
 
-		public abstract run(msg: MessageCommandProxy, params: any[]): Promise<SentMessage | any>;
+		public getSubcommand(name: string): Subcommand;
+		public abstract run(msg: MessageCommandProxy, params: any[], signal: CommandSignal): Promise<SentMessage | any>;
 		public abstract init(): any;
 
 		public abstract enable(): Piece;
@@ -627,6 +808,45 @@ declare module 'klasa' {
 		public abstract toString(): string;
 	}
 
+	export class Category {
+		public constructor(store: CommandStore, name: string, options?: CategoryOptions);
+		public readonly store: CommandStore;
+		public type: 'category';
+		public name: string;
+		public description: LocalizableString;
+		public enabled: boolean;
+		public permLevel: number;
+		public readonly commands: Collection<string, Command>;
+
+		public disable(): this;
+		public enable(): this;
+		public toString(): string;
+	}
+
+	export class Subcommand {
+		public constructor(command: Command, name: string, options?: SubcommandOptions);
+		public readonly command: Command;
+		public name: string;
+		public aliases: string[];
+		public method: string;
+		public runIn: string[];
+		public permLevel: number;
+		public description: LocalizableString;
+		public usageString: string;
+		public usageDelim: string;
+		public quotedStringSupport: boolean;
+		public validators: StringMappedType<ArgumentValidator>;
+		public prompts: StringMappedType<string|ArgumentPrompt>;
+		public argDescriptions: StringMappedType<LocalizableString>;
+		public argNames: StringMappedType<LocalizableString>;
+		public usage: ParsedUsage;
+
+		public run(msg: MessageCommandProxy, params: any[], signal: CommandSignal): Promise<SentMessage | any>;
+		public toString(): string;
+
+		public static reserved: string[];
+	}
+
 	export abstract class Event implements Piece  {
 		public constructor(client: KlasaClient, dir: string, file: string[], options: EventOptions);
 		public client: KlasaClient;
@@ -672,6 +892,33 @@ declare module 'klasa' {
 		public abstract toString(): string;
 	}
 
+	export abstract class Argument implements Piece {
+		public constructor(client: KlasaClient, dir: string, file: string, options: ArgumentOptions);
+		public client: KlasaClient;
+		public type: 'argument';
+
+		public enabled: boolean;
+		public name: string;
+		public aliases: string[];
+		public dir: string;
+		public file: string;
+		public readonly resolver: Resolver;
+
+		public abstract run(arg: string, possible: Possible, msg: MessageCommandProxy): Promise<any>;
+		public abstract init(): any;
+		public search<T>(query: string, candidates: Iterable<T>, getNames: (candidate: T) => string[], possible: Possible, msg: MessageCommandProxy): Promise<T>;
+		private disambiguate<T>(matches: T[], getNames: (candidate: T) => string[], possible: Possible, msg: MessageCommandProxy): Promise<T>;
+
+		public abstract enable(): Piece;
+		public abstract disable(): Piece;
+		public abstract reload(): Promise<any>;
+		public abstract unload(): any;
+		public abstract toString(): string;
+
+		public static minOrMax(value: number, min: number, max: number, possible: Possible, msg: MessageCommandProxy, suffix?: string): boolean;
+		public static matchScore(query: string, name: string, strategy: string): number;
+	}
+
 	export abstract class Finalizer implements Piece {
 		public constructor(client: KlasaClient, dir: string, file: string[], options: FinalizerOptions);
 		public client: KlasaClient;
@@ -682,7 +929,27 @@ declare module 'klasa' {
 		public dir: string;
 		public file: string;
 
-		public abstract run(msg: CommandMessage, mes: ExtendedMessage, start: Stopwatch): void;
+		public abstract run(msg: CommandMessage, mes: ExtendedMessage, start: Stopwatch, runTimer: Stopwatch): void;
+		public abstract init(): any;
+
+		public abstract enable(): Piece;
+		public abstract disable(): Piece;
+		public abstract reload(): Promise<any>;
+		public abstract unload(): any;
+		public abstract toString(): string;
+	}
+
+	export abstract class Hook implements Piece {
+		public constructor(client: KlasaClient, dir: string, file: string[], options: HookOptions);
+		public client: KlasaClient;
+		public type: 'hook';
+
+		public enabled: boolean;
+		public name: string;
+		public dir: string;
+		public file: string;
+
+		public abstract run(msg: MessageCommandProxy, params: any[], response?: any): void | Promise<void>;
 		public abstract init(): any;
 
 		public abstract enable(): Piece;
@@ -723,6 +990,7 @@ declare module 'klasa' {
 		public file: string;
 
 		public get(term: string, ...args: any[]): string|Function;
+		public localize(value: LocalizableString|string[]): any;
 		public abstract init(): any;
 
 		public abstract enable(): Piece;
@@ -788,10 +1056,36 @@ declare module 'klasa' {
 		public static applyToClass(structure: object, skips?: string[]): void;
 	}
 
+	export class ArgumentStore extends Collection<string, Argument> implements Store {
+		public constructor(client: KlasaClient);
+		public client: KlasaClient;
+		public aliases: Collection<string, Argument>;
+		public pieceTypes: Collection<string, Store>;
+		public resolver: Resolver;
+		public coreDir: string;
+		public userDir: string;
+		public holds: Argument;
+		public name: 'arguments';
+
+		public get(name: string): Argument;
+		public has(name: string): boolean;
+		public set(key: string, value: Argument): this;
+		public set(argument: Argument): Argument;
+		public delete(name: Argument|string): boolean;
+		public clear(): void;
+
+		public init(): any;
+		public load(): any;
+		public loadAll(): Promise<any>;
+		public resolve(): any;
+		public toString(): string;
+	}
+
 	export class CommandStore extends Collection<string, Command> implements Store {
 		public constructor(client: KlasaClient);
 		public client: KlasaClient;
 		public aliases: Collection<string, Command>;
+		public categories: Collection<string, Category>;
 		public coreDir: string;
 		public userDir: string;
 		public holds: Command;
@@ -799,6 +1093,13 @@ declare module 'klasa' {
 
 		public get(name: string): Command;
 		public has(name: string): boolean;
+		public getGuildAliases(guild?: ExtendedGuild): Collection<string, Command>;
+		public resolveGuildAlias(guild: ExtendedGuild, alias: string): Command;
+		public resolveCategory(name: string): string;
+		public isCategoryDisabled(command: Command, guild?: ExtendedGuild): boolean;
+		public getPermissionOverrides(guild?: ExtendedGuild): PermissionOverride[];
+		public getPermissionLevel(command: Command, subcommand?: Subcommand): number;
+		public resolvePermissionOverride(msg: ExtendedMessage, command: Command, subcommand?: Subcommand): boolean | null;
 		public set(key: string, value: Command): this;
 		public set(command: Command): Command;
 		public delete(name: Command|string): boolean;
@@ -810,6 +1111,8 @@ declare module 'klasa' {
 		public init(): any;
 		public resolve(): any;
 
+		public static readonly maxOverrideLevel: number;
+		public static parsePermissionOverride(entry: string): PermissionOverride | null;
 		public static walk(store: CommandStore, dir: string, subs?: string[]): Promise<void>;
 	}
 
@@ -873,6 +1176,26 @@ declare module 'klasa' {
 		public toString(): string;
 	}
 
+	export class HookStore extends Collection<string, Hook> implements Store {
+		public constructor(client: KlasaClient);
+		public client: KlasaClient;
+		public coreDir: null;
+		public userDir: string;
+		public holds: Hook;
+		public name: 'hooks';
+
+		public delete(name: Hook|string): boolean;
+		public run(msg: MessageCommandProxy, type: 'before'|'after', params: any[], response?: any): Promise<void>;
+		public set(key: string, value: Hook): this;
+		public set(hook: Hook): Hook;
+
+		public init(): any;
+		public load(): any;
+		public loadAll(): Promise<any>;
+		public resolve(): any;
+		public toString(): string;
+	}
+
 	export class InhibitorStore extends Collection<string, Inhibitor> implements Store {
 		public constructor(client: KlasaClient);
 		public client: KlasaClient;
@@ -883,6 +1206,7 @@ declare module 'klasa' {
 
 		public delete(name: Inhibitor|string): boolean;
 		public run(msg: ExtendedMessage, cmd: Command, selective: boolean): void;
+		public check(msg: ExtendedMessage, cmd: Command, selective?: boolean): Promise<Map<string, string|boolean>>;
 		public set(key: string, value: Inhibitor): this;
 		public set(inhibitor: Inhibitor): Inhibitor;
 
@@ -891,6 +1215,8 @@ declare module 'klasa' {
 		public loadAll(): Promise<any>;
 		public resolve(): any;
 		public toString(): string;
+
+		public static response(results: Map<string, string|boolean>): string;
 	}
 
 	export class LanguageStore extends Collection<string, Language> implements Store {
@@ -922,7 +1248,7 @@ declare module 'klasa' {
 		public name: 'monitors';
 
 		public delete(name: Monitor|string): boolean;
-		public run(msg: ExtendedMessage): void;
+		public run(msg: ExtendedMessage): Promise<any[]>;
 		public set(key: string, value: Monitor): this;
 		public set(monitor: Monitor): Monitor;
 
@@ -954,8 +1280,10 @@ declare module 'klasa' {
 
 	export type KlasaClientConfig = {
 		prefix?: string;
+		prefixCaseInsensitive?: boolean;
 		permissionLevels?: PermissionLevels;
 		clientBaseDir?: string;
+		dataDir?: string;
 		commandMessageLifetime?: number;
 		commandMessageSweep?: number;
 		provider?: { engine: string, cache: string };
@@ -964,10 +1292,19 @@ declare module 'klasa' {
 		ignoreBots?: boolean;
 		ignoreSelf?: boolean;
 		cmdPrompt?: boolean;
+		cmdPromptTime?: number;
+		cmdPromptLimit?: number;
 		cmdEditing?: boolean;
+		commandTimeout?: number;
 		cmdLogging?: boolean;
+		commandSuggestions?: boolean;
 		typing?: boolean;
 		quotedStringSupport?: boolean;
+		argumentSearch?: KlasaArgumentSearchConfig;
+		cooldowns?: KlasaCooldownConfig;
+		analytics?: KlasaAnalyticsConfig;
+		categories?: StringMappedType<CategoryOptions>;
+		repl?: boolean|REPLOptions;
 		readyMessage?: string|Function;
 		ownerID?: string;
 	} & ClientOptions;
@@ -980,6 +1317,49 @@ declare module 'klasa' {
 		timestamps?: boolean|string;
 	};
 
+	export type KlasaArgumentSearchConfig = {
+		strategy?: 'exact'|'insensitive'|'prefix'|'fuzzy';
+		threshold?: number;
+		prompt?: boolean;
+	};
+
+	export type KlasaCooldownConfig = {
+		ownerBypass?: boolean;
+		bypassLevel?: number;
+		persist?: boolean;
+	};
+
+	export type KlasaAnalyticsConfig = {
+		samples?: number;
+		persist?: boolean;
+		saveInterval?: number;
+	};
+
+	export type CommandAnalytics = {
+		runs: number;
+		errors: number;
+		inhibited: number;
+		reasons: StringMappedType<number>;
+		latencies: number[];
+	};
+
+	export type CommandStatistics = {
+		name: string;
+		uses: number;
+		runs: number;
+		errors: number;
+		errorRate: number;
+		inhibited: number;
+		reasons: [string, number][];
+		p50: number|null;
+		p90: number|null;
+		p99: number|null;
+	};
+
+	export type LocalizableString = string|StringMappedType<any>|((language: Language) => any);
+
+	export type CooldownScope = 'user'|'member'|'channel'|'guild'|'global';
+
 	export type KlasaConsoleEvents = {
 		log?: boolean;
 		warn?: boolean;
@@ -1001,20 +1381,112 @@ declare module 'klasa' {
 
 	export type MessageCommandProxy = CommandMessage & ExtendedMessage;
 
+	export type PermissionOverride = {
+		type: 'user' | 'role' | 'channel';
+		id: Snowflake;
+		target: string;
+		category: boolean;
+		allow: boolean;
+		level: number;
+	};
+
+	export type GuildTag = {
+		name: string;
+		content: string;
+		embed: boolean;
+	};
+
+	export type CommandMessageOptions = {
+		subcommand?: Subcommand | null;
+		args?: string[];
+		flags?: StringMappedType<string|boolean>;
+		trigger?: RegExpExecArray | null;
+	};
+
+	export type ArgumentValidator = (value: any, msg: MessageCommandProxy, possible: Possible) => any;
+	export type ArgumentPrompt = (msg: MessageCommandProxy, possible: Possible) => string;
+	export type CommandHook = (this: Command, msg: MessageCommandProxy, params: any[], response?: any) => any;
+
+	export type MockOutput = {
+		type: 'send'|'edit'|'delete';
+		channel: ExtendedTextChannel|ExtendedDMChannel;
+		content: string|string[]|null;
+		options: MessageOptions;
+		message: ExtendedMessage;
+	};
+
+	export type REPLOptions = {
+		guild?: ExtendedGuild|Snowflake;
+		channel?: ExtendedTextChannel|Snowflake;
+		input?: NodeJS.ReadableStream;
+		prompt?: string;
+	};
+
+	export type DispatchOptions = {
+		author?: ExtendedUser;
+		channel?: ExtendedTextChannel|ExtendedDMChannel;
+	};
+
+	export type DispatchResult = {
+		message: ExtendedMessage;
+		command: Command|null;
+		status: 'run'|'error'|'inhibited'|null;
+		response: any;
+		output: MockOutput[];
+	};
+
+	export type CategoryOptions = {
+		description?: LocalizableString;
+		enabled?: boolean;
+		permLevel?: number;
+	};
+
 	export type CommandOptions = {
 		enabled?: boolean;
 		name?: string;
 		aliases?: string[];
+		triggers?: RegExp[];
+		prefixlessDM?: boolean;
 		runIn?: string[];
 		botPerms?: string[];
 		requiredSettings?: string[];
 		cooldown?: number;
+		cooldownScope?: CooldownScope;
+		cooldownUses?: number;
+		cooldownBypass?: number;
+		concurrency?: number;
+		concurrencyScope?: CooldownScope;
+		timeout?: number;
 		permLevel?: number;
-		description?: string;
+		description?: LocalizableString;
 		usage?: string;
 		usageDelim?: string;
-		extendedHelp?: string;
+		extendedHelp?: LocalizableString;
+		examples?: string[]|LocalizableString;
 		quotedStringSupport?: boolean;
+		subcommands?: StringMappedType<SubcommandOptions>;
+		flags?: StringMappedType<string>;
+		validators?: StringMappedType<ArgumentValidator>;
+		prompts?: StringMappedType<string|ArgumentPrompt>;
+		argDescriptions?: StringMappedType<LocalizableString>;
+		argNames?: StringMappedType<LocalizableString>;
+		before?: string|CommandHook|Array<string|CommandHook>;
+		after?: string|CommandHook|Array<string|CommandHook>;
+	};
+
+	export type SubcommandOptions = {
+		aliases?: string[];
+		method?: string;
+		runIn?: string[];
+		permLevel?: number;
+		description?: LocalizableString;
+		usage?: string;
+		usageDelim?: string;
+		quotedStringSupport?: boolean;
+		validators?: StringMappedType<ArgumentValidator>;
+		prompts?: StringMappedType<string|ArgumentPrompt>;
+		argDescriptions?: StringMappedType<LocalizableString>;
+		argNames?: StringMappedType<LocalizableString>;
 	};
 
 	export type EventOptions = {
@@ -1028,11 +1500,22 @@ declare module 'klasa' {
 		klasa?: boolean;
 	};
 
+	export type ArgumentOptions = {
+		enabled?: boolean;
+		name?: string;
+		aliases?: string[];
+	};
+
 	export type FinalizerOptions = {
 		enabled?: boolean;
 		name?: string;
 	};
 
+	export type HookOptions = {
+		enabled?: boolean;
+		name?: string;
+	};
+
 	export type InhibitorOptions = {
 		enabled?: boolean;
 		name?: string;
@@ -1254,6 +1737,13 @@ declare module 'klasa' {
 	type StringMappedType<T> = { [key: string]: T };
 
 	export type GuildSettings = StringMappedType<any>;
+	export type ChannelSettings = {
+		ignored: boolean;
+		prefix: string | null;
+		noPrefix: boolean;
+		disabledCommands: string[];
+		disabledCategories: string[];
+	} & StringMappedType<any>;
 	export type SchemaObject = StringMappedType<SchemaPiece>;
 	export type SchemaDefaults = StringMappedType<any>;
 
@@ -1261,6 +1751,7 @@ declare module 'klasa' {
 	export type ExtendedMessage = {
 		guild?: ExtendedGuild;
 		guildSettings: GuildSettings;
+		channelSettings: ChannelSettings;
 		hasAtLeastPermissionLevel: Promise<boolean>;
 		language: Language;
 		reactable: boolean;